@@ -1,19 +1,156 @@
 import { useEffect, useMemo, useRef, useState } from 'react'
-
-const API_BASE = 'http://127.0.0.1:8000'
-const PAGE_SIZE = 15
+import ApiInspector from './components/ApiInspector.jsx'
+import CommandPalette from './components/CommandPalette.jsx'
+import ConfirmDialog from './components/ConfirmDialog.jsx'
+import ConsultationCard from './components/ConsultationCard.jsx'
+import ConsultationEntry from './components/ConsultationEntry.jsx'
+import Dashboard from './components/Dashboard.jsx'
+import DuplicatePatients from './components/DuplicatePatients.jsx'
+import FilterPresets from './components/FilterPresets.jsx'
+import MockBackendSettings from './components/MockBackendSettings.jsx'
+import NotificationHistory from './components/NotificationHistory.jsx'
+import EnvironmentSettings from './components/EnvironmentSettings.jsx'
+import FieldError from './components/FieldError.jsx'
+import Modal from './components/Modal.jsx'
+import OutboxPanel from './components/OutboxPanel.jsx'
+import Pagination from './components/Pagination.jsx'
+import PatientCard from './components/PatientCard.jsx'
+import PatientDetail from './components/PatientDetail.jsx'
+import PatientImport from './components/PatientImport.jsx'
+import PatientPicker from './components/PatientPicker.jsx'
+import PrintReport from './components/PrintReport.jsx'
+import SessionCountdown from './components/SessionCountdown.jsx'
+import SessionSettings from './components/SessionSettings.jsx'
+import SessionWarning from './components/SessionWarning.jsx'
+import ShortcutHelp from './components/ShortcutHelp.jsx'
+import ShortcutSettings from './components/ShortcutSettings.jsx'
+import ToastCenter from './components/ToastCenter.jsx'
+import TriageView from './components/TriageView.jsx'
+import SummaryJobsPanel from './components/SummaryJobsPanel.jsx'
+import UndoBar from './components/UndoBar.jsx'
+import useApiLog from './hooks/useApiLog.js'
+import useDraft from './hooks/useDraft.js'
+import useIdleTimer from './hooks/useIdleTimer.js'
+import { I18nContext } from './hooks/useI18n.js'
+import useNotifications from './hooks/useNotifications.js'
+import useSummaryReviews from './hooks/useSummaryReviews.js'
+import useOutbox, { createClientKey } from './hooks/useOutbox.js'
+import usePatientDirectory from './hooks/usePatientDirectory.js'
+import useShortcuts from './hooks/useShortcuts.js'
+import useSummaryJobs from './hooks/useSummaryJobs.js'
+import useUndoableActions from './hooks/useUndoableActions.js'
+import {
+  DEFAULT_ENVIRONMENT,
+  DEFAULT_ENVIRONMENT_ID,
+  checkHealth,
+  createEnvironmentId,
+  loadActiveEnvironmentId,
+  loadEnvironments,
+  saveActiveEnvironmentId,
+  saveEnvironments,
+} from './lib/environments.js'
+import {
+  CONSULTATION_CSV_COLUMNS,
+  exportFileName,
+  flattenConsultation,
+} from './lib/consultationExport.js'
+import {
+  applyTemplate,
+  errorKeysFor,
+  findTemplate,
+  isEntryBlank,
+  isEntryUntouched,
+  newConsultationEntry,
+  restoreEntry,
+  serializeConsultation,
+} from './lib/consultationEntry.js'
+import { errorId, fieldProps, handleGridKeyDown } from './lib/a11y.js'
+import { toCsv } from './lib/csv.js'
+import { runWithConcurrency } from './lib/concurrency.js'
+import { downloadFile } from './lib/download.js'
+import { LANGUAGES, createI18n, loadLanguage, saveLanguage } from './lib/i18n.js'
+import { tokenExpiry, tokenSubject, tokenUserName } from './lib/jwt.js'
+import { resolveRange } from './lib/dashboardStats.js'
+import {
+  createPreset,
+  loadFilterPresets,
+  loadLastFilters,
+  saveFilterPresets,
+  saveLastFilters,
+} from './lib/filterPresets.js'
+import {
+  CONSULTATION_ORDERINGS,
+  CONSULTATION_PARAM_LABELS,
+  CREATED_PERIODS,
+  DEFAULT_PAGE_SIZE,
+  PAGE_SIZES,
+  consultationListKey,
+  consultationParams,
+  createdRange,
+  effectivePageSize,
+  ignoredConsultationParams,
+  matchesConsultation,
+  pageSizeOf,
+  sortConsultations,
+} from './lib/listQuery.js'
+import { mockFetch, resetMockData } from './lib/mockBackend.js'
+import { findDuplicates, nameSearchTerms } from './lib/patientMatching.js'
+import { createQueryCache } from './lib/queryCache.js'
+import { clearRecentPatients } from './lib/recentPatients.js'
+import {
+  EMPTY_CONSULTATION_FILTERS,
+  EMPTY_DASHBOARD_RANGE,
+  EMPTY_PATIENT_FILTERS,
+  buildUrl,
+  currentUrl,
+  parseLocation,
+  parseUrl,
+  requiresAuth,
+} from './lib/routes.js'
+import { createSessionChannel } from './lib/sessionChannel.js'
+import { currentVersion, reviewStatus, withReview } from './lib/summaryReview.js'
+import { loadIdleTimeoutMinutes, saveIdleTimeoutMinutes } from './lib/sessionSettings.js'
+import { loadShortcuts, paletteShortcutLabel, saveShortcuts } from './lib/shortcuts.js'
+import { loadSymptomVocabulary, rememberSymptoms, symptomSuggestions } from './lib/symptomVocabulary.js'
+import {
+  fieldErrorsFrom,
+  hasErrors,
+  todayISO,
+  validateConsultation,
+  validateConsultationEntry,
+  validatePatient,
+} from './lib/validation.js'
+
+const TRIAGE_STALE_MS = 60000
+const BULK_PAGE_SIZE = 100
+const PATIENT_FETCH_CONCURRENCY = 4
+const UNREACHABLE_STATUSES = [0, 502, 503, 504]
+const DUPLICATE_WINDOW_MS = 5 * 60000
+const SESSION_WARNING_MS = 2 * 60 * 1000
+const DEFAULT_ACCESS_TTL = 86400000
+const DEFAULT_REFRESH_TTL = 7 * 86400000
+const MAX_TIMEOUT_MS = 2 ** 31 - 1
 
 const PAGES = [
   { id: 'login', label: 'Login' },
+  { id: 'dashboard', label: 'Dashboard' },
   { id: 'patients', label: 'Patients' },
   { id: 'consultations', label: 'Consultations' },
+  { id: 'triage', label: 'Triage' },
+  { id: 'inspector', label: 'API Inspector' },
+  { id: 'settings', label: 'Settings' },
+  { id: 'patient', label: 'Patient', hidden: true, parent: 'patients' },
+  { id: 'consultation', label: 'Consultation', hidden: true, parent: 'consultations' },
 ]
 
 const COOKIE_ACCESS = 'access_token'
 const COOKIE_REFRESH = 'refresh_token'
 
-function setCookie(name, value, days = 1) {
-  const expires = new Date(Date.now() + days * 86400000).toUTCString()
+const LOGIN_PATH = '/accounts/login/'
+const REFRESH_PATH = '/accounts/token/refresh/'
+
+function setCookie(name, value, expiresAt) {
+  const expires = new Date(expiresAt).toUTCString()
   document.cookie = `${name}=${encodeURIComponent(value)}; expires=${expires}; path=/; SameSite=Lax`
 }
 
@@ -29,12 +166,8 @@ function clearCookie(name) {
   document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/; SameSite=Lax`
 }
 
-function formatDate(value) {
-  if (!value) return '-'
-  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value
-  const date = new Date(value)
-  if (Number.isNaN(date.getTime())) return value
-  return date.toISOString().slice(0, 10)
+function cookieName(base, environmentId) {
+  return environmentId === DEFAULT_ENVIRONMENT_ID ? base : `${base}__${environmentId}`
 }
 
 function buildQuery(paramsObj) {
@@ -47,13 +180,33 @@ function buildQuery(paramsObj) {
   return params.toString()
 }
 
+function scheduleAt(time, callback) {
+  let timer
+  function arm() {
+    const delay = time - Date.now()
+    timer = setTimeout(delay > MAX_TIMEOUT_MS ? arm : callback, Math.min(Math.max(0, delay), MAX_TIMEOUT_MS))
+  }
+  arm()
+  return () => clearTimeout(timer)
+}
+
+function needsTriage(item) {
+  return !item.ai_summary || Boolean(item.ai_summary.requires_urgent_care)
+}
+
+function insertAt(list, index, item) {
+  if (list.some((entry) => entry.id === item.id)) return list
+  const next = [...list]
+  next.splice(index < 0 ? 0 : Math.min(index, next.length), 0, item)
+  return next
+}
+
 export default function App() {
   const [page, setPage] = useState('login')
   const [username, setUsername] = useState('')
   const [password, setPassword] = useState('')
   const [accessToken, setAccessToken] = useState('')
   const [refreshToken, setRefreshToken] = useState('')
-  const [status, setStatus] = useState('')
 
   const [patients, setPatients] = useState([])
   const [consultations, setConsultations] = useState([])
@@ -64,63 +217,148 @@ export default function App() {
     email: '',
   })
 
-  const [consultationForm, setConsultationForm] = useState({
-    patient: '',
-    symptoms: '',
-    diagnosis: '',
-  })
+  const [consultationForm, setConsultationForm] = useState(newConsultationEntry)
 
-  const [patientFilters, setPatientFilters] = useState({
-    full_name: '',
-    email: '',
-    date_of_birth_from: '',
-    date_of_birth_to: '',
-  })
+  const [patientErrors, setPatientErrors] = useState({})
+  const [patientDuplicates, setPatientDuplicates] = useState(null)
+  const [creatingPatient, setCreatingPatient] = useState(false)
+  const [consultationErrors, setConsultationErrors] = useState({})
 
-  const [consultationFilters, setConsultationFilters] = useState({
-    patient_id: '',
-    created_at_from: '',
-    created_at_to: '',
-  })
+  const [patientFilters, setPatientFilters] = useState(EMPTY_PATIENT_FILTERS)
+  const [consultationFilters, setConsultationFilters] = useState(EMPTY_CONSULTATION_FILTERS)
 
   const [patientPage, setPatientPage] = useState(1)
-  const [patientMeta, setPatientMeta] = useState({ count: 0, next: null, previous: null })
+  const [patientMeta, setPatientMeta] = useState({ count: 0, next: null, previous: null, pageSize: DEFAULT_PAGE_SIZE })
 
   const [consultationPage, setConsultationPage] = useState(1)
-  const [consultationMeta, setConsultationMeta] = useState({ count: 0, next: null, previous: null })
-
-  const [summaryDialog, setSummaryDialog] = useState({
-    open: false,
-    message: '',
-    id: null,
+  const [consultationMeta, setConsultationMeta] = useState({
+    count: 0,
+    next: null,
+    previous: null,
+    pageSize: DEFAULT_PAGE_SIZE,
+    ignored: [],
   })
+  const [filterPresets, setFilterPresets] = useState(loadFilterPresets)
+
+  const [summaryDialog, setSummaryDialog] = useState({ open: false, id: null })
+
+  const [confirmDialog, setConfirmDialog] = useState(null)
+
+  const [selectedPatientId, setSelectedPatientId] = useState(null)
+  const [patientHistory, setPatientHistory] = useState({ items: [], loading: false, patientId: null, complete: true })
+  const [selectedConsultation, setSelectedConsultation] = useState({ id: null, item: null, loading: false })
+
+  const [loginNext, setLoginNext] = useState('')
+  const [exporting, setExporting] = useState(false)
+  const [printReport, setPrintReport] = useState(null)
+  const [triage, setTriage] = useState({ items: [], loading: false, loadedAt: null })
+  const [triageSort, setTriageSort] = useState('oldest')
+  const [dashboard, setDashboard] = useState({
+    range: EMPTY_DASHBOARD_RANGE,
+    consultations: [],
+    patients: [],
+    loading: false,
+    loadedAt: null,
+  })
+  const [queueingSummaries, setQueueingSummaries] = useState(false)
+  const [online, setOnline] = useState(() => navigator.onLine)
+  const [notificationsOpen, setNotificationsOpen] = useState(false)
+  const [idleMinutes, setIdleMinutes] = useState(loadIdleTimeoutMinutes)
+  const [sessionWarning, setSessionWarning] = useState({ open: false, extending: false, message: '' })
+  const [language, setLanguage] = useState(loadLanguage)
+  const [shortcuts, setShortcuts] = useState(loadShortcuts)
+  const [paletteOpen, setPaletteOpen] = useState(false)
+  const [shortcutHelpOpen, setShortcutHelpOpen] = useState(false)
+
+  const [environments, setEnvironments] = useState(loadEnvironments)
+  const [environmentId, setEnvironmentId] = useState(loadActiveEnvironmentId)
+  const [symptomVocabulary, setSymptomVocabulary] = useState(() => loadSymptomVocabulary(environmentId))
+  const [health, setHealth] = useState({ status: 'unknown' })
+
+  const i18n = useMemo(() => createI18n(language), [language])
+  const { t } = i18n
+  const apiLog = useApiLog()
+  const notifications = useNotifications()
+
+  const tokensRef = useRef({ access: '', refresh: '' })
+  const refreshPromiseRef = useRef(null)
+  const historyRequestRef = useRef(null)
+  const dashboardRequestRef = useRef(null)
+  const appliedFiltersRef = useRef(null)
+  const applyRouteRef = useRef(null)
+  const pageHeadingRef = useRef(null)
+  const sessionChannelRef = useRef(null)
+  const sessionMessageRef = useRef(null)
+  const queryCacheRef = useRef(null)
+  const localConsultationsRef = useRef(null)
+
+  if (!appliedFiltersRef.current) {
+    appliedFiltersRef.current = loadLastFilters({
+      patients: EMPTY_PATIENT_FILTERS,
+      consultations: EMPTY_CONSULTATION_FILTERS,
+    })
+  }
+  const latestQueryRef = useRef({})
 
-  const [initialLoaded, setInitialLoaded] = useState(false)
-
-  const pollingRef = useRef(null)
+  if (!queryCacheRef.current) queryCacheRef.current = createQueryCache()
 
-  const authHeaders = useMemo(() => {
-    return accessToken ? { Authorization: `Bearer ${accessToken}` } : {}
-  }, [accessToken])
+  const environment = environments.find((env) => env.id === environmentId) || DEFAULT_ENVIRONMENT
+  const environmentRef = useRef(environment)
+  environmentRef.current = environment
 
   const isLoggedIn = Boolean(accessToken)
+  const sessionExpiresAt = isLoggedIn ? tokenExpiry(refreshToken) ?? tokenExpiry(accessToken) : null
+  const userScope = isLoggedIn && tokenSubject(accessToken) ? `${environmentId}:${tokenSubject(accessToken)}` : ''
+
+  function storeTokens(access, refresh) {
+    tokensRef.current = { access, refresh }
+    setAccessToken(access)
+    setRefreshToken(refresh)
+    const refreshExpiry = tokenExpiry(refresh) ?? Date.now() + DEFAULT_REFRESH_TTL
+    setCookie(
+      cookieName(COOKIE_ACCESS, environmentRef.current.id),
+      access,
+      refresh ? refreshExpiry : tokenExpiry(access) ?? Date.now() + DEFAULT_ACCESS_TTL
+    )
+    setCookie(cookieName(COOKIE_REFRESH, environmentRef.current.id), refresh, refreshExpiry)
+    broadcastSession()
+  }
 
-  function stopPolling() {
-    if (pollingRef.current) {
-      clearInterval(pollingRef.current)
-      pollingRef.current = null
-    }
+  function broadcastSession() {
+    sessionChannelRef.current?.post({ type: 'session', environmentId: environmentRef.current.id })
   }
 
-  async function request(method, path, body) {
-    const res = await fetch(`${API_BASE}${path}`, {
-      method,
-      headers: {
-        'Content-Type': 'application/json',
-        ...authHeaders,
-      },
-      body: body ? JSON.stringify(body) : undefined,
-    })
+  function restoreTokens() {
+    const { id } = environmentRef.current
+    const access = getCookie(cookieName(COOKIE_ACCESS, id))
+    const refresh = access ? getCookie(cookieName(COOKIE_REFRESH, id)) : ''
+    tokensRef.current = { access, refresh }
+    setAccessToken(access)
+    setRefreshToken(refresh)
+  }
+
+  async function send(method, path, body, { token, signal, headers: extraHeaders } = {}) {
+    const url = `${environmentRef.current.baseUrl}${path}`
+    const headers = {
+      'Content-Type': 'application/json',
+      ...extraHeaders,
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    }
+    const startedAt = Date.now()
+    const entry = { method, path, url, requestHeaders: headers, requestBody: body, startedAt }
+    const logOptions = { keepRawBody: path !== LOGIN_PATH && path !== REFRESH_PATH }
+
+    const init = { method, signal, headers, body: body ? JSON.stringify(body) : undefined }
+
+    let res
+    try {
+      res = await (environmentRef.current.mock ? mockFetch(path, init) : fetch(url, init))
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        apiLog.record({ ...entry, status: 0, duration: Date.now() - startedAt, error: error.message }, logOptions)
+      }
+      throw error
+    }
 
     const text = await res.text()
     let data
@@ -130,535 +368,2015 @@ export default function App() {
       data = text
     }
 
-    if (!res.ok) {
-      const message = data?.detail || data?.error || 'Request failed'
-      setStatus(`Error: ${message}`)
+    apiLog.record({
+      ...entry,
+      status: res.status,
+      duration: Date.now() - startedAt,
+      responseHeaders: Object.fromEntries(res.headers.entries()),
+      responseBody: data,
+    }, logOptions)
+
+    return { res, data }
+  }
+
+  function refreshAccessToken() {
+    if (!refreshPromiseRef.current) {
+      const { refresh } = tokensRef.current
+      refreshPromiseRef.current = send('POST', REFRESH_PATH, { refresh })
+        .then(({ res, data }) => {
+          if (!res.ok || !data?.access) return ''
+          storeTokens(data.access, data.refresh || refresh)
+          return data.access
+        })
+        .catch(() => '')
+        .finally(() => {
+          refreshPromiseRef.current = null
+        })
+    }
+    return refreshPromiseRef.current
+  }
+
+  async function request(method, path, body, { signal, headers, retry, silent = false } = {}) {
+    const usedToken = tokensRef.current.access
+    let res
+    let data
+    try {
+      ;({ res, data } = await send(method, path, body, { token: usedToken, signal, headers }))
+
+      if (res.status === 401 && usedToken && tokensRef.current.refresh && path !== LOGIN_PATH) {
+        const token = tokensRef.current.access !== usedToken
+          ? tokensRef.current.access
+          : await refreshAccessToken()
+        if (!token) {
+          if (tokensRef.current.refresh) {
+            handleLogout(currentUrl(), { message: t('Session expired. Please log in again.'), level: 'error' })
+          }
+          return { ok: false, status: 401, data, errors: {} }
+        }
+        ;({ res, data } = await send(method, path, body, { token, signal, headers }))
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') throw error
+      if (!silent) {
+        notifications.error(t('Could not reach the backend ({message}).', { message: error.message }), {
+          retry,
+          key: `${method} ${path}`,
+        })
+      }
+      return { ok: false, status: 0, data: null, errors: {} }
+    }
+
+    const errors = res.ok ? {} : fieldErrorsFrom(data)
+    if (!res.ok && !silent) {
+      const hasFieldErrors = Object.keys(errors).some((key) => key !== 'non_field_errors')
+      const message = errors.non_field_errors
+        || (hasFieldErrors ? t('Please correct the highlighted fields.') : t('Request failed ({status})', { status: res.status }))
+      notifications.notify(hasFieldErrors ? 'warning' : 'error', message, { retry, key: `${method} ${path}` })
     }
 
-    return { ok: res.ok, data }
+    return { ok: res.ok, status: res.status, data, errors }
+  }
+
+  async function loadAllPages(path, params = {}, { retry } = {}) {
+    const items = []
+    for (let pageNumber = 1; ; pageNumber += 1) {
+      const query = buildQuery({ ...params, page: pageNumber })
+      const { ok, data } = await request('GET', `${path}?${query}`, undefined, { retry })
+      if (!ok) return { ok, items }
+      if (Array.isArray(data)) return { ok, items: data }
+      items.push(...(data?.results || []))
+      if (!data?.next) return { ok, items }
+    }
   }
 
   async function handleLogin(e) {
     e.preventDefault()
-    setStatus('')
-    const { data } = await request('POST', '/accounts/login/', {
+    const { data } = await request('POST', LOGIN_PATH, {
       username,
       password,
     })
     if (data?.access) {
-      setAccessToken(data.access)
-      setRefreshToken(data.refresh)
-      setCookie(COOKIE_ACCESS, data.access, 1)
-      setCookie(COOKIE_REFRESH, data.refresh, 7)
-      setPage('patients')
-      setStatus('Logged in.')
+      storeTokens(data.access, data.refresh)
+      navigate(loginNext ? parseUrl(loginNext) : routeFor('patients'), { replace: true })
+      notifications.success(t('Logged in.'))
     }
   }
 
-  function handleLogout() {
+  function handleLogout(next = '', { message = t('Logged out.'), level = 'info', broadcast = true } = {}) {
+    undoable.commitAll()
+    const subject = tokenSubject(tokensRef.current.access)
+    if (subject) clearRecentPatients(`${environmentRef.current.id}:${subject}`)
+    clearCookie(cookieName(COOKIE_ACCESS, environmentRef.current.id))
+    clearCookie(cookieName(COOKIE_REFRESH, environmentRef.current.id))
+    tokensRef.current = { access: '', refresh: '' }
     setAccessToken('')
     setRefreshToken('')
-    clearCookie(COOKIE_ACCESS)
-    clearCookie(COOKIE_REFRESH)
+    setSessionWarning({ open: false, extending: false, message: '' })
+    resetSessionState()
+    navigate({ page: 'login', next })
+    notifications.notify(level, message, { key: 'session' })
+    if (broadcast) broadcastSession()
+  }
+
+  function syncSessionFromCookies() {
+    const { id } = environmentRef.current
+    const access = getCookie(cookieName(COOKIE_ACCESS, id))
+    if (access === tokensRef.current.access) return
+    if (!access) {
+      handleLogout(page === 'login' ? loginNext : currentUrl(), {
+        message: t('Logged out in another tab.'),
+        broadcast: false,
+      })
+      return
+    }
+    const wasLoggedOut = !tokensRef.current.access
+    restoreTokens()
+    setSessionWarning({ open: false, extending: false, message: '' })
+    if (wasLoggedOut && page === 'login') {
+      navigate(loginNext ? parseUrl(loginNext) : routeFor('patients'), { replace: true })
+      notifications.info(t('Logged in from another tab.'))
+    }
+  }
+
+  async function extendSession() {
+    const previousExpiry = sessionExpiresAt
+    setSessionWarning((prev) => ({ ...prev, extending: true }))
+    const token = await refreshAccessToken()
+    if (!token) {
+      handleLogout(currentUrl(), { message: t('Session expired. Please log in again.'), level: 'error' })
+      return
+    }
+    const nextExpiry = tokenExpiry(tokensRef.current.refresh) ?? tokenExpiry(token)
+    if (nextExpiry && previousExpiry && nextExpiry <= previousExpiry) {
+      setSessionWarning({
+        open: true,
+        extending: false,
+        message: t('The backend does not allow extending this session. Save your work and log in again.'),
+      })
+      return
+    }
+    setSessionWarning({ open: false, extending: false, message: '' })
+    notifications.success(t('Session extended.'))
+  }
+
+  function updateIdleMinutes(minutes) {
+    saveIdleTimeoutMinutes(minutes)
+    setIdleMinutes(minutes)
+    notifications.success(minutes > 0 ? t('Idle timeout set to {count} minutes.', { count: minutes }) : t('Idle timeout turned off.'))
+  }
+
+  function updateShortcuts(next) {
+    saveShortcuts(next)
+    setShortcuts(next)
+    notifications.success(t('Keyboard shortcuts saved.'))
+  }
+
+  function changeLanguage(id) {
+    saveLanguage(id)
+    setLanguage(id)
+  }
+
+  function resetSessionState() {
+    queryCacheRef.current.clear()
+    latestQueryRef.current = {}
+    localConsultationsRef.current = null
     setPatients([])
     setConsultations([])
-    setInitialLoaded(false)
-    setPage('login')
-    setStatus('Logged out.')
+    summaryJobs.stopAll()
+    setConfirmDialog(null)
+    closeSummaryDialog()
+    setSelectedPatientId(null)
+    setPatientForm({ full_name: '', date_of_birth: '', email: '' })
+    setPatientErrors({})
+    setConsultationForm(newConsultationEntry())
+    setConsultationErrors({})
+    setPatientDuplicates(null)
+    setPatientHistory({ items: [], loading: false, patientId: null, complete: true })
+    setSelectedConsultation({ id: null, item: null, loading: false })
+    setTriage({ items: [], loading: false, loadedAt: null })
+    setDashboard((prev) => ({ ...prev, consultations: [], patients: [], loading: false, loadedAt: null }))
+    patientDirectory.clear()
+    apiLog.clear()
   }
 
-  async function loadPatients(pageNumber = patientPage, filters = patientFilters) {
-    setStatus('')
+  async function runHealthCheck(env = environmentRef.current) {
+    setHealth({ status: 'checking' })
+    const result = await checkHealth(env.baseUrl)
+    if (environmentRef.current.id === env.id) setHealth(result)
+  }
+
+  function switchEnvironment(id) {
+    const next = environments.find((env) => env.id === id)
+    if (!next || id === environmentId) return
+    undoable.commitAll()
+    resetSessionState()
+    saveActiveEnvironmentId(id)
+    environmentRef.current = next
+    setEnvironmentId(id)
+    restoreTokens()
+    notifications.info(t('Switched to {name}.', { name: next.name }))
+    runHealthCheck(next)
+    applyRoute(parseLocation(window.location))
+  }
+
+  function saveEnvironment({ id, name, baseUrl, idempotencyKeys }) {
+    const next = id
+      ? environments.map((env) => (env.id === id ? { ...env, name, baseUrl, idempotencyKeys } : env))
+      : [...environments, { id: createEnvironmentId(name), name, baseUrl, idempotencyKeys }]
+    setEnvironments(next)
+    saveEnvironments(next)
+    if (id === environmentId) {
+      environmentRef.current = next.find((env) => env.id === id)
+      runHealthCheck(environmentRef.current)
+    }
+  }
+
+  function removeEnvironment(id) {
+    const next = environments.filter((env) => env.id !== id || env.builtIn)
+    setEnvironments(next)
+    saveEnvironments(next)
+    clearCookie(cookieName(COOKIE_ACCESS, id))
+    clearCookie(cookieName(COOKIE_REFRESH, id))
+  }
+
+  function resetMockBackend() {
+    resetMockData()
+    queryCacheRef.current.clear()
+    latestQueryRef.current = {}
+    localConsultationsRef.current = null
+    summaryJobs.stopAll()
+    notifications.success(t('Mock backend data reset to the sample set.'))
+    applyRoute(parseLocation(window.location))
+  }
+
+  async function loadList(channel, path, apply, { force = false, retry } = {}) {
+    const cache = queryCacheRef.current
+    const previous = latestQueryRef.current[channel]
+    if (previous && previous !== path) cache.abort(previous)
+    latestQueryRef.current[channel] = path
+
+    const cached = cache.get(path)
+    if (cached?.result) apply(cached.result.data)
+    if (!force && cache.isFresh(path)) return
+
+    let result
+    try {
+      result = await cache.fetch(path, (signal) => request('GET', path, undefined, { signal, retry }))
+    } catch (error) {
+      if (error.name === 'AbortError') return
+      throw error
+    }
+    if (latestQueryRef.current[channel] === path) apply(result.data)
+  }
+
+  function invalidateQueries(...prefixes) {
+    prefixes.forEach((prefix) => queryCacheRef.current.invalidate(prefix))
+    if (prefixes.includes('/consultations/')) localConsultationsRef.current = null
+  }
+
+  async function loadPatients(
+    pageNumber = patientPage,
+    filters = appliedFiltersRef.current.patients,
+    options = {}
+  ) {
+    appliedFiltersRef.current.patients = filters
+    saveLastFilters(appliedFiltersRef.current)
+    const pageSize = pageSizeOf(filters)
     const query = buildQuery({
       page: pageNumber,
+      page_size: filters.page_size ? pageSize : '',
       full_name: filters.full_name,
       email: filters.email,
       date_of_birth_from: filters.date_of_birth_from,
       date_of_birth_to: filters.date_of_birth_to,
     })
-    const { data } = await request('GET', `/patients/?${query}`)
-    if (Array.isArray(data)) {
-      setPatients(data)
-      setPatientMeta({ count: data.length, next: null, previous: null })
-      setPatientPage(1)
-      return
-    }
-    if (data?.results) {
-      setPatients(data.results)
-      setPatientMeta({ count: data.count ?? 0, next: data.next, previous: data.previous })
-      setPatientPage(pageNumber)
+    await loadList('patients', `/patients/?${query}`, (data) => {
+      if (Array.isArray(data)) {
+        setPatients(data)
+        setPatientMeta({ count: data.length, next: null, previous: null, pageSize: data.length || pageSize })
+        setPatientPage(1)
+        return
+      }
+      if (data?.results) {
+        setPatients(data.results)
+        setPatientMeta({
+          count: data.count ?? 0,
+          next: data.next,
+          previous: data.previous,
+          pageSize: effectivePageSize(data, pageNumber, pageSize),
+        })
+        setPatientPage(pageNumber)
+      }
+    }, { ...options, retry: () => loadPatients(pageNumber, filters, { force: true }) })
+  }
+
+  async function searchPatients(fullName, pageNumber, signal) {
+    const query = buildQuery({ full_name: fullName, page: pageNumber })
+    const { ok, data } = await request('GET', `/patients/?${query}`, undefined, { signal })
+    if (Array.isArray(data)) return { ok, items: data, hasMore: false }
+    const items = data?.results || []
+    patientDirectory.remember(items)
+    return { ok, items, hasMore: Boolean(data?.next) }
+  }
+
+  function updatePatientForm(field, value) {
+    setPatientForm((prev) => ({ ...prev, [field]: value }))
+    setPatientErrors(({ [field]: _, ...rest }) => rest)
+    setPatientDuplicates(null)
+  }
+
+  async function findPatientDuplicates(patient) {
+    const queries = nameSearchTerms(patient.full_name).map((term) => ({ full_name: term }))
+    if (patient.email) queries.push({ email: patient.email })
+    if (patient.date_of_birth) {
+      queries.push({ date_of_birth_from: patient.date_of_birth, date_of_birth_to: patient.date_of_birth })
     }
+    const responses = await Promise.all(
+      queries.map((params) => request('GET', `/patients/?${buildQuery(params)}`))
+    )
+    const candidates = responses.flatMap(({ data }) => (Array.isArray(data) ? data : data?.results || []))
+    patientDirectory.remember(candidates)
+    return { ok: responses.every((response) => response.ok), matches: findDuplicates(patient, candidates) }
+  }
+
+  async function loadAllPatients() {
+    const { ok, items } = await loadAllPages('/patients/')
+    if (ok) patientDirectory.remember(items)
+    return { ok, items }
   }
 
   async function createPatient(e) {
     e.preventDefault()
-    setStatus('')
-    const { data } = await request('POST', '/patients/', patientForm)
+    const clientErrors = validatePatient(patientForm)
+    setPatientErrors(clientErrors)
+    if (hasErrors(clientErrors)) return
+    setCreatingPatient(true)
+    const { ok, matches } = await findPatientDuplicates(patientForm)
+    setCreatingPatient(false)
+    if (!ok || matches.length > 0) {
+      setPatientDuplicates({ matches, failed: !ok })
+      return
+    }
+    submitPatient()
+  }
+
+  async function submitPatient() {
+    setCreatingPatient(true)
+    const { data, errors } = await request('POST', '/patients/', patientForm)
+    setCreatingPatient(false)
+    setPatientErrors(errors)
+    setPatientDuplicates(null)
     if (data?.id) {
+      invalidateQueries('/patients/')
       setPatients((prev) => [data, ...prev])
-      setStatus('Patient created.')
+      notifications.success(t('Patient created.'))
       setPatientForm({ full_name: '', date_of_birth: '', email: '' })
     }
   }
 
-  async function loadConsultations(pageNumber = consultationPage, filters = consultationFilters) {
-    setStatus('')
-    const query = buildQuery({
-      page: pageNumber,
-      patient_id: filters.patient_id,
-      created_at_from: filters.created_at_from,
-      created_at_to: filters.created_at_to,
+  async function updatePatient(id, changes) {
+    const clientErrors = validatePatient(changes)
+    if (hasErrors(clientErrors)) return { ok: false, errors: clientErrors }
+    const previous = patients.find((patient) => patient.id === id)
+    setPatients((prev) => prev.map((patient) => (patient.id === id ? { ...patient, ...changes } : patient)))
+    const { ok, data, errors } = await request('PATCH', `/patients/${id}/`, changes)
+    invalidateQueries('/patients/')
+    if (!ok) {
+      setPatients((prev) => prev.map((patient) => (patient.id === id ? previous : patient)))
+      return { ok, errors }
+    }
+    if (data?.id) {
+      setPatients((prev) => prev.map((patient) => (patient.id === id ? data : patient)))
+    }
+    notifications.success(t('Patient updated.'))
+    return { ok, errors }
+  }
+
+  async function confirmDeletePatient(patient) {
+    const query = buildQuery({ patient_id: patient.id })
+    const { ok, data } = await request('GET', `/consultations/?${query}`)
+    if (!ok) return
+    const count = Array.isArray(data) ? data.length : data?.count ?? 0
+    setConfirmDialog({
+      title: t('Delete patient'),
+      message: count > 0
+        ? t('{name} has {count} consultations attached. Deleting the patient removes them as well.', {
+          name: patient.full_name,
+          count,
+        })
+        : t('{name} has no consultations attached.', { name: patient.full_name }),
+      confirmLabel: t('Delete patient'),
+      onConfirm: () => deletePatient(patient),
+    })
+  }
+
+  function deletePatient(patient) {
+    const index = patients.findIndex((item) => item.id === patient.id)
+    setPatients((prev) => prev.filter((item) => item.id !== patient.id))
+    setPatientMeta((prev) => ({ ...prev, count: Math.max(0, prev.count - 1) }))
+    invalidateQueries('/patients/')
+    undoable.schedule({
+      key: `patient-${patient.id}`,
+      label: t('Patient "{name}" deleted.', { name: patient.full_name }),
+      commit: async () => {
+        const result = await request('DELETE', `/patients/${patient.id}/`, undefined, {
+          retry: () => confirmDeletePatient(patient),
+        })
+        invalidateQueries('/patients/', '/consultations/')
+        if (result.ok) {
+          setConsultations((prev) => prev.filter((item) => String(item.patient) !== String(patient.id)))
+        }
+        return result
+      },
+      restore: () => {
+        setPatients((prev) => insertAt(prev, index, patient))
+        setPatientMeta((prev) => ({ ...prev, count: prev.count + 1 }))
+      },
     })
-    const { data } = await request('GET', `/consultations/?${query}`)
-    if (Array.isArray(data)) {
-      setConsultations(data)
-      setConsultationMeta({ count: data.length, next: null, previous: null })
-      setConsultationPage(1)
+  }
+
+  async function loadConsultations(
+    pageNumber = consultationPage,
+    filters = appliedFiltersRef.current.consultations,
+    options = {}
+  ) {
+    appliedFiltersRef.current.consultations = filters
+    saveLastFilters(appliedFiltersRef.current)
+    const pageSize = pageSizeOf(filters)
+    const listKey = consultationListKey(filters)
+    const local = localConsultationsRef.current
+    if (local?.key === listKey && !options.force) {
+      if (local.items) showLocalConsultations(pageNumber, pageSize)
       return
     }
-    if (data?.results) {
+    localConsultationsRef.current = null
+    const query = buildQuery(consultationParams(filters, pageNumber))
+    await loadList('consultations', `/consultations/?${query}`, (data) => {
+      const items = Array.isArray(data) ? data : data?.results
+      if (!items) return
+      const ignored = ignoredConsultationParams(items, filters)
+      if (ignored.length) {
+        filterConsultationsLocally(pageNumber, filters, ignored, Array.isArray(data) ? data : null)
+        return
+      }
+      if (Array.isArray(data)) {
+        setConsultations(data)
+        setConsultationMeta({ count: data.length, next: null, previous: null, pageSize: data.length || pageSize, ignored: [] })
+        setConsultationPage(1)
+        return
+      }
       setConsultations(data.results)
-      setConsultationMeta({ count: data.count ?? 0, next: data.next, previous: data.previous })
+      setConsultationMeta({
+        count: data.count ?? 0,
+        next: data.next,
+        previous: data.previous,
+        pageSize: effectivePageSize(data, pageNumber, pageSize),
+        ignored: [],
+      })
       setConsultationPage(pageNumber)
+    }, { ...options, retry: () => loadConsultations(pageNumber, filters, { force: true }) })
+  }
+
+  async function filterConsultationsLocally(pageNumber, filters, ignored, loaded) {
+    const listKey = consultationListKey(filters)
+    if (localConsultationsRef.current?.key === listKey) return
+    localConsultationsRef.current = { key: listKey, items: null, ignored }
+    let items = loaded
+    if (!items) {
+      const result = await loadAllPages('/consultations/', consultationParams(filters, 1), {
+        retry: () => loadConsultations(pageNumber, filters, { force: true }),
+      })
+      if (localConsultationsRef.current?.key !== listKey) return
+      if (!result.ok) {
+        localConsultationsRef.current = null
+        return
+      }
+      items = result.items
+    }
+    const known = filters.ordering === 'patient' ? await resolvePatients(items.map((item) => item.patient)) : {}
+    if (localConsultationsRef.current?.key !== listKey) return
+    localConsultationsRef.current = {
+      key: listKey,
+      items: sortConsultations(
+        items.filter((item) => matchesConsultation(item, filters)),
+        filters.ordering,
+        (id) => known[id]?.full_name
+      ),
+      ignored,
+    }
+    if (consultationListKey(appliedFiltersRef.current.consultations) === listKey) {
+      showLocalConsultations(pageNumber, pageSizeOf(filters))
     }
   }
 
+  function showLocalConsultations(pageNumber, pageSize) {
+    const { items, ignored } = localConsultationsRef.current
+    const pages = Math.max(1, Math.ceil(items.length / pageSize))
+    const current = Math.min(Math.max(1, pageNumber), pages)
+    setConsultations(items.slice((current - 1) * pageSize, current * pageSize))
+    setConsultationMeta({
+      count: items.length,
+      next: current < pages ? current + 1 : null,
+      previous: current > 1 ? current - 1 : null,
+      pageSize,
+      ignored,
+    })
+    setConsultationPage(current)
+  }
+
+  function updateConsultationForm(field, value) {
+    setConsultationForm((prev) => ({ ...prev, [field]: value }))
+    setConsultationErrors((prev) => {
+      const next = { ...prev }
+      errorKeysFor(field).forEach((key) => delete next[key])
+      return next
+    })
+  }
+
+  function chooseConsultationTemplate(templateId) {
+    const template = findTemplate(templateId)
+    if (!template) {
+      updateConsultationForm('template', '')
+      return
+    }
+    const apply = () => setConsultationForm((prev) => applyTemplate(prev, template))
+    if (isEntryUntouched(consultationForm)) {
+      apply()
+      return
+    }
+    setConfirmDialog({
+      title: t('Apply template'),
+      message: t('Applying the {name} template replaces the complaint, history, examination, assessment and plan you have entered.', {
+        name: t(template.label),
+      }),
+      confirmLabel: t('Apply template'),
+      onConfirm: apply,
+    })
+  }
+
   async function createConsultation(e) {
     e.preventDefault()
-    setStatus('')
-    const { data } = await request('POST', '/consultations/', consultationForm)
+    const clientErrors = validateConsultationEntry(consultationForm)
+    setConsultationErrors(clientErrors)
+    if (hasErrors(clientErrors)) return
+    const payload = serializeConsultation(consultationForm)
+    const clientKey = createClientKey()
+    if (!navigator.onLine) {
+      queueConsultation(payload, clientKey)
+      return
+    }
+    let result
+    try {
+      result = await submitConsultation(payload, clientKey)
+    } catch {
+      queueConsultation(payload, clientKey)
+      return
+    }
+    if (UNREACHABLE_STATUSES.includes(result.status)) {
+      queueConsultation(payload, clientKey)
+      return
+    }
+    const { data, errors } = result
+    setConsultationErrors(errors)
     if (data?.id) {
+      rememberEntrySymptoms()
+      invalidateQueries('/consultations/')
       setConsultations((prev) => [data, ...prev])
-      setStatus('Consultation created.')
-      setConsultationForm({ patient: '', symptoms: '', diagnosis: '' })
+      notifications.success(t('Consultation created.'))
+      setConsultationForm(newConsultationEntry())
+    }
+  }
+
+  function submitConsultation(payload, clientKey, { silent = false } = {}) {
+    if (!tokensRef.current.access) throw new Error(t('Log in to sync the outbox.'))
+    const headers = environmentRef.current.idempotencyKeys ? { 'Idempotency-Key': clientKey } : {}
+    return request('POST', '/consultations/', payload, { headers, silent })
+  }
+
+  async function findSubmittedConsultation(payload, since) {
+    const { ok, items } = await loadAllPages('/consultations/', { patient_id: payload.patient })
+    if (!ok) return null
+    return items.find((item) => (
+      String(item.patient) === String(payload.patient)
+      && (item.symptoms || '') === payload.symptoms
+      && (item.diagnosis || '') === payload.diagnosis
+      && (!item.created_at || Date.parse(item.created_at) >= since - DUPLICATE_WINDOW_MS)
+    )) || null
+  }
+
+  function rememberEntrySymptoms() {
+    setSymptomVocabulary(rememberSymptoms(consultationForm.symptom_tags, environmentId))
+  }
+
+  function queueConsultation(payload, clientKey) {
+    outbox.enqueue(payload, clientKey)
+    rememberEntrySymptoms()
+    setConsultationForm(newConsultationEntry())
+    setConsultationErrors({})
+    notifications.warning(
+      t('Backend unreachable. The consultation is in the outbox and will be sent when the connection returns.'),
+      { key: 'POST /consultations/' }
+    )
+  }
+
+  function findConsultation(id) {
+    return consultations.find((item) => item.id === id)
+      || (selectedConsultation.item?.id === id ? selectedConsultation.item : null)
+      || patientHistory.items.find((item) => item.id === id)
+  }
+
+  function patchConsultation(id, next) {
+    const apply = (item) => (item.id === id ? next(item) : item)
+    setConsultations((prev) => prev.map(apply))
+    setPatientHistory((prev) => ({ ...prev, items: prev.items.map(apply) }))
+    setTriage((prev) => ({ ...prev, items: prev.items.map(apply) }))
+    setSelectedConsultation((prev) => (prev.item ? { ...prev, item: apply(prev.item) } : prev))
+  }
+
+  async function updateConsultation(id, changes) {
+    const clientErrors = validateConsultation(changes)
+    if (hasErrors(clientErrors)) return { ok: false, errors: clientErrors }
+    const previous = findConsultation(id)
+    patchConsultation(id, (item) => ({ ...item, ...changes }))
+    const { ok, data, errors } = await request('PATCH', `/consultations/${id}/`, changes)
+    invalidateQueries('/consultations/')
+    if (!ok) {
+      patchConsultation(id, () => previous)
+      return { ok, errors }
+    }
+    if (data?.id) {
+      patchConsultation(id, () => data)
     }
+    notifications.success(t('Consultation updated.'))
+    return { ok, errors }
+  }
+
+  function confirmDeleteConsultation(consultation) {
+    setConfirmDialog({
+      title: t('Delete consultation'),
+      message: t('Consultation {id} and its AI summary will be removed.', { id: consultation.id }),
+      confirmLabel: t('Delete consultation'),
+      onConfirm: () => deleteConsultation(consultation),
+    })
+  }
+
+  function deleteConsultation(consultation) {
+    const index = consultations.findIndex((item) => item.id === consultation.id)
+    setConsultations((prev) => prev.filter((item) => item.id !== consultation.id))
+    setConsultationMeta((prev) => ({ ...prev, count: Math.max(0, prev.count - 1) }))
+    setTriage((prev) => ({ ...prev, items: prev.items.filter((item) => item.id !== consultation.id) }))
+    invalidateQueries('/consultations/')
+    if (page === 'consultation') navigate(routeFor('consultations'))
+    undoable.schedule({
+      key: `consultation-${consultation.id}`,
+      label: t('Consultation {id} deleted.', { id: consultation.id }),
+      commit: async () => {
+        const result = await request('DELETE', `/consultations/${consultation.id}/`, undefined, {
+          retry: () => confirmDeleteConsultation(consultation),
+        })
+        invalidateQueries('/consultations/')
+        if (result.ok) summaryReviews.remove(consultation.id)
+        return result
+      },
+      restore: () => {
+        setTriage((prev) => ({ ...prev, items: [...prev.items, consultation] }))
+        setConsultations((prev) => insertAt(prev, index, consultation))
+        setConsultationMeta((prev) => ({ ...prev, count: prev.count + 1 }))
+      },
+    })
   }
 
-  async function startSummaryPolling(consultationId) {
-    stopPolling()
-    setSummaryDialog({
-      open: true,
-      message: 'AI is generating the summary. This may take a few seconds.',
-      id: consultationId,
+  async function loadPatientHistory(patientId) {
+    historyRequestRef.current = patientId
+    setPatientHistory((prev) => ({
+      items: prev.patientId === patientId ? prev.items : [],
+      loading: true,
+      patientId,
+      complete: prev.patientId === patientId ? prev.complete : true,
+    }))
+    const { ok, items } = await loadAllPages('/consultations/', { patient_id: patientId }, {
+      retry: () => loadPatientHistory(patientId),
     })
+    if (historyRequestRef.current !== patientId) return
+    setPatientHistory({ items, loading: false, patientId, complete: ok })
+  }
+
+  function showPatient(id) {
+    setSelectedPatientId(id)
+    if (!patientDirectory.directory[id]) patientDirectory.fetchPatient(id)
+    loadPatientHistory(id)
+  }
+
+  function openPatient(patientOrId) {
+    const id = typeof patientOrId === 'object' ? patientOrId.id : patientOrId
+    if (id == null) return
+    navigate({ page: 'patient', patientId: id })
+  }
+
+  async function showConsultation(id) {
+    const cached = consultations.find((item) => String(item.id) === String(id)) || null
+    setSelectedConsultation({ id, item: cached, loading: true })
+    const { ok, data } = await request('GET', `/consultations/${id}/`, undefined, {
+      retry: () => showConsultation(id),
+    })
+    setSelectedConsultation((prev) => {
+      if (prev.id !== id) return prev
+      return { id, item: ok && data?.id != null ? data : prev.item, loading: false }
+    })
+  }
+
+  function openConsultation(consultation) {
+    navigate({ page: 'consultation', consultationId: consultation.id })
+  }
+
+  async function resolvePatients(ids) {
+    const known = { ...patientDirectory.directory }
+    const missing = [...new Set(ids.map(String))].filter((id) => !known[id])
+    const fetched = await runWithConcurrency(missing, PATIENT_FETCH_CONCURRENCY, (id) => (
+      patientDirectory.fetchPatient(id, { silent: true })
+    ))
+    fetched.filter(Boolean).forEach((patient) => {
+      known[patient.id] = patient
+    })
+    const failed = fetched.filter((patient) => !patient).length
+    if (failed > 0) {
+      const message = t('Could not load some patients ({count}); their names are left blank.', { count: failed })
+      notifications.warning(message, { key: 'resolve-patients' })
+    }
+    return known
+  }
+
+  async function exportConsultations(format) {
+    const filters = appliedFiltersRef.current.consultations
+    setExporting(true)
+    notifications.info(t('Exporting consultations...'))
+    try {
+      const { ok, items } = await loadAllPages('/consultations/', consultationParams(filters, 1), {
+        retry: () => exportConsultations(format),
+      })
+      if (!ok) return
+      const known = await resolvePatients(items.map((item) => item.patient))
+      const matching = sortConsultations(
+        items.filter((item) => matchesConsultation(item, filters)),
+        filters.ordering,
+        (id) => known[id]?.full_name
+      )
+      const rows = matching.map((item) => flattenConsultation(reviewed(item), known[item.patient]))
+      const { from, to } = createdRange(filters)
+      const fileFilters = { ...filters, created_at_from: from, created_at_to: to }
+      if (format === 'csv') {
+        downloadFile(exportFileName(fileFilters, 'csv'), toCsv(CONSULTATION_CSV_COLUMNS, rows), 'text/csv;charset=utf-8')
+      } else {
+        downloadFile(exportFileName(fileFilters, 'json'), JSON.stringify(rows, null, 2), 'application/json')
+      }
+      notifications.success(t('Exported {count} consultations.', { count: rows.length }))
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  async function printConsultation(item) {
+    const known = await resolvePatients([item.patient])
+    setPrintReport({
+      title: t('Consultation Report #{id}', { id: item.id }),
+      patient: known[item.patient],
+      consultations: [reviewed(item)],
+    })
+  }
+
+  function printPatientHistory() {
+    const items = patientHistory.items.map(reviewed).sort(
+      (a, b) => new Date(a.created_at || 0) - new Date(b.created_at || 0)
+    )
+    setPrintReport({
+      title: t('Patient Consultation History'),
+      patient: patientDirectory.directory[selectedPatientId],
+      consultations: items,
+    })
+  }
+
+  function showCreateForm(headingId, fieldId) {
+    requestAnimationFrame(() => {
+      document.getElementById(headingId)?.scrollIntoView({ behavior: 'smooth' })
+      document.getElementById(fieldId)?.focus({ preventScroll: true })
+    })
+  }
+
+  function newConsultationForPatient(patientId) {
+    setConsultationForm(newConsultationEntry(patientId))
+    setConsultationErrors({})
+    navigate(routeFor('consultations'))
+    showCreateForm('create-consultation', 'new-consultation-complaint')
+  }
+
+  function newConsultation() {
+    const patientId = page === 'patient' ? selectedPatientId : consultationFilters.patient_id
+    if (patientId) {
+      newConsultationForPatient(patientId)
+      return
+    }
+    navigate(routeFor('consultations'))
+    showCreateForm('create-consultation', 'new-consultation-patient')
+  }
+
+  function newPatient() {
+    navigate(routeFor('patients'))
+    showCreateForm('create-patient', 'new-patient-full_name')
+  }
+
+  const patientDirectory = usePatientDirectory(request)
+  const undoable = useUndoableActions()
+
+  const outbox = useOutbox(
+    userScope,
+    async (payload, clientKey, item) => {
+      if (!environmentRef.current.idempotencyKeys && tokensRef.current.access) {
+        const existing = await findSubmittedConsultation(payload, item.createdAt)
+        if (existing) return { ok: true, status: 200, data: existing, message: '' }
+      }
+      const { ok, status, data, errors } = await submitConsultation(payload, clientKey, { silent: true })
+      const failure = status ? t('Request failed ({status})', { status }) : t('Backend unreachable.')
+      const message = Object.values(errors).join(' ') || (ok ? '' : failure)
+      return { ok, status: UNREACHABLE_STATUSES.includes(status) || status === 401 ? 503 : status, data, message }
+    },
+    () => {
+      invalidateQueries('/consultations/')
+      if (page === 'consultations') loadConsultations(consultationPage)
+    }
+  )
+
+  useDraft(userScope && `${userScope}:consultation`, consultationForm, (value) => {
+    if (!isEntryBlank(consultationForm)) return
+    const restored = restoreEntry({ ...consultationForm, ...value })
+    setConsultationForm(restored)
+    if (!isEntryBlank(restored)) notifications.info(t('Restored your unsent consultation draft.'))
+  })
 
-    pollingRef.current = setInterval(async () => {
-      const { data } = await request('GET', `/consultations/${consultationId}/summary_status/`)
-      if (data?.status && data.status !== 'processing') {
-        stopPolling()
-        setSummaryDialog((prev) => ({
-          ...prev,
-          message: 'Summary ready. Refreshing list...',
-        }))
-        await loadConsultations(consultationPage, consultationFilters)
-        setTimeout(() => {
-          setSummaryDialog({ open: false, message: '', id: null })
-        }, 800)
+  useDraft(userScope && `${userScope}:patient`, patientForm, (value) => {
+    setPatientForm((prev) => (prev.full_name || prev.email ? prev : { ...prev, ...value }))
+  })
+
+  async function loadTriage() {
+    setTriage((prev) => ({ ...prev, loading: true }))
+    const { ok, items } = await loadAllPages('/consultations/', { page_size: BULK_PAGE_SIZE }, { retry: loadTriage })
+    setTriage((prev) => ({
+      items: ok ? items : prev.items,
+      loading: false,
+      loadedAt: ok ? Date.now() : prev.loadedAt,
+    }))
+  }
+
+  async function loadDashboard(range = dashboard.range) {
+    const { from, to } = resolveRange(range)
+    const requestKey = `${from}|${to}|${Date.now()}`
+    dashboardRequestRef.current = requestKey
+    setDashboard((prev) => ({ ...prev, range, loading: true }))
+    const { ok, items } = await loadAllPages(
+      '/consultations/',
+      { created_at_from: from, created_at_to: to, page_size: BULK_PAGE_SIZE },
+      { retry: () => loadDashboard(range) }
+    )
+    const ids = [...new Set(items.map((item) => String(item.patient)))]
+    const known = ok ? await resolvePatients(ids) : {}
+    if (dashboardRequestRef.current !== requestKey) return
+    setDashboard((prev) => ({
+      ...prev,
+      consultations: ok ? items : prev.consultations,
+      patients: ok ? ids.map((id) => known[id]).filter(Boolean) : prev.patients,
+      loading: false,
+      loadedAt: ok ? Date.now() : prev.loadedAt,
+    }))
+  }
+
+  async function refreshConsultation(id) {
+    const { ok, data } = await request('GET', `/consultations/${id}/`, undefined, { silent: true })
+    if (!ok || data?.id == null) return
+    queryCacheRef.current.invalidate('/consultations/')
+    const local = localConsultationsRef.current
+    if (local?.items) {
+      localConsultationsRef.current = {
+        ...local,
+        items: local.items.map((item) => (item.id === data.id ? data : item)),
       }
-    }, 3000)
+    }
+    patchConsultation(data.id, () => data)
+    setDashboard((prev) => ({
+      ...prev,
+      consultations: prev.consultations.map((item) => (item.id === data.id ? data : item)),
+    }))
+    setTriage((prev) => {
+      if (prev.items.some((item) => item.id === data.id)) return prev
+      return { ...prev, items: [...prev.items, data] }
+    })
+  }
+
+  const summaryReviews = useSummaryReviews(userScope, isLoggedIn ? tokenUserName(accessToken) : '')
+
+  function reviewed(item) {
+    return withReview(item, summaryReviews.recordFor(item.id))
+  }
+
+  const summaryJobs = useSummaryJobs(request, (consultationId) => {
+    refreshConsultation(consultationId)
+    setTimeout(() => {
+      setSummaryDialog((prev) => (prev.id === consultationId ? { open: false, id: null } : prev))
+    }, 800)
+  })
+
+  async function requestSummary(consultationId) {
+    const { ok } = await request('POST', `/consultations/generate-summary/${consultationId}/`, undefined, {
+      retry: () => requestSummary(consultationId),
+    })
+    if (ok) summaryJobs.track(consultationId)
+    return ok
   }
 
   async function generateSummary(consultationId) {
-    setStatus('')
-    const { ok } = await request('POST', `/consultations/generate-summary/${consultationId}/`)
-    if (ok) {
-      startSummaryPolling(consultationId)
+    if (summaryJobs.isProcessing(consultationId)) {
+      setSummaryDialog({ open: true, id: consultationId })
+      return
+    }
+    if (await requestSummary(consultationId)) {
+      setSummaryDialog({ open: true, id: consultationId })
     }
   }
 
+  async function summariseAll(consultationIds) {
+    const queue = consultationIds.filter((id) => !summaryJobs.isProcessing(id))
+    if (queue.length === 0) return
+    setQueueingSummaries(true)
+    notifications.info(t('Queueing {count} summaries...', { count: queue.length }))
+    const results = await runWithConcurrency(queue, 3, requestSummary)
+    const queued = results.filter(Boolean).length
+    setQueueingSummaries(false)
+    notifications.notify(
+      queued === queue.length ? 'success' : 'warning',
+      t('Queued {queued} of {count} summaries.', { queued, count: queue.length })
+    )
+  }
+
+  function regenerateSummary(consultationId) {
+    if (reviewStatus(currentVersion(summaryReviews.recordFor(consultationId))) !== 'approved') {
+      generateSummary(consultationId)
+      return
+    }
+    setConfirmDialog({
+      title: t('Regenerate summary'),
+      message: t(
+        'The approved summary of consultation {id} is kept in its version history. The new AI output will need to be reviewed again.',
+        { id: consultationId }
+      ),
+      confirmLabel: t('Regenerate'),
+      onConfirm: () => {
+        setConfirmDialog(null)
+        generateSummary(consultationId)
+      },
+    })
+  }
+
+  function editSummary(consultationId, summary) {
+    summaryReviews.edit(consultationId, summary)
+    notifications.success(t('Summary of consultation {id} edited. It needs approval.', { id: consultationId }))
+  }
+
+  function reviewSummary(consultationId, decision, note) {
+    summaryReviews.review(consultationId, decision, note)
+    notifications.success(decision === 'approved'
+      ? t('Summary of consultation {id} approved.', { id: consultationId })
+      : t('Summary of consultation {id} rejected.', { id: consultationId }))
+  }
+
+  function closeSummaryDialog() {
+    setSummaryDialog({ open: false, id: null })
+  }
+
+  function routeFor(pageId) {
+    if (pageId === 'patients') {
+      return { page: 'patients', patientFilters: appliedFiltersRef.current.patients, patientPage }
+    }
+    if (pageId === 'consultations') {
+      return {
+        page: 'consultations',
+        consultationFilters: appliedFiltersRef.current.consultations,
+        consultationPage,
+      }
+    }
+    if (pageId === 'dashboard') {
+      return { page: 'dashboard', dashboardRange: dashboard.range }
+    }
+    return { page: pageId }
+  }
+
+  function applyRoute(route) {
+    if (requiresAuth(route) && !tokensRef.current.access) {
+      navigate({ page: 'login', next: buildUrl(route) }, { replace: true })
+      return
+    }
+    setPage(route.page)
+    if (route.page === 'login') {
+      setLoginNext(route.next || '')
+    } else if (route.page === 'patients') {
+      setPatientFilters(route.patientFilters)
+      loadPatients(route.patientPage, route.patientFilters)
+    } else if (route.page === 'consultations') {
+      setConsultationFilters(route.consultationFilters)
+      loadConsultations(route.consultationPage, route.consultationFilters)
+    } else if (route.page === 'dashboard') {
+      loadDashboard(route.dashboardRange)
+    } else if (route.page === 'triage') {
+      if (!triage.loading && Date.now() - (triage.loadedAt || 0) > TRIAGE_STALE_MS) loadTriage()
+    } else if (route.page === 'patient') {
+      showPatient(route.patientId)
+    } else if (route.page === 'consultation') {
+      showConsultation(route.consultationId)
+    }
+  }
+
+  function navigate(route, { replace = false } = {}) {
+    const url = buildUrl(route)
+    if (url !== currentUrl()) {
+      window.history[replace ? 'replaceState' : 'pushState'](null, '', url)
+    }
+    applyRoute(route)
+  }
+
+  applyRouteRef.current = applyRoute
+
+  function goToPatientPage(pageNumber) {
+    navigate({ ...routeFor('patients'), patientPage: pageNumber })
+  }
+
+  function goToConsultationPage(pageNumber) {
+    navigate({ ...routeFor('consultations'), consultationPage: pageNumber })
+  }
+
   function applyPatientFilters() {
-    loadPatients(1, patientFilters)
+    navigate({ page: 'patients', patientFilters, patientPage: 1 })
   }
 
   function clearPatientFilters() {
-    const cleared = { full_name: '', email: '', date_of_birth_from: '', date_of_birth_to: '' }
-    setPatientFilters(cleared)
-    loadPatients(1, cleared)
+    navigate({ page: 'patients', patientFilters: EMPTY_PATIENT_FILTERS, patientPage: 1 })
+  }
+
+  function saveFilterPreset(scope, name) {
+    const preset = createPreset(name, scope, scope === 'patients' ? patientFilters : consultationFilters)
+    const next = [...filterPresets, preset]
+    saveFilterPresets(next)
+    setFilterPresets(next)
+    applyFilterPreset(preset)
+    notifications.success(t('Saved preset "{name}".', { name: preset.name }))
+    return preset
+  }
+
+  function deleteFilterPreset(preset) {
+    const next = filterPresets.filter((entry) => entry.id !== preset.id)
+    saveFilterPresets(next)
+    setFilterPresets(next)
+    notifications.success(t('Deleted preset "{name}".', { name: preset.name }))
+  }
+
+  function presetRoute(preset) {
+    if (preset.scope === 'patients') {
+      return { page: 'patients', patientFilters: { ...EMPTY_PATIENT_FILTERS, ...preset.filters }, patientPage: 1 }
+    }
+    return {
+      page: 'consultations',
+      consultationFilters: { ...EMPTY_CONSULTATION_FILTERS, ...preset.filters },
+      consultationPage: 1,
+    }
+  }
+
+  function applyFilterPreset(preset) {
+    navigate(presetRoute(preset))
+  }
+
+  async function shareFilterPreset(preset) {
+    const url = `${window.location.origin}${buildUrl(presetRoute(preset))}`
+    try {
+      await navigator.clipboard.writeText(url)
+      notifications.success(t('Link to "{name}" copied.', { name: preset.name }))
+    } catch {
+      notifications.warning(t('Could not copy automatically. Link: {url}', { url }))
+    }
   }
 
   function applyConsultationFilters() {
-    loadConsultations(1, consultationFilters)
+    navigate({ page: 'consultations', consultationFilters, consultationPage: 1 })
   }
 
   function clearConsultationFilters() {
-    const cleared = { patient_id: '', created_at_from: '', created_at_to: '' }
-    setConsultationFilters(cleared)
-    loadConsultations(1, cleared)
+    navigate({ page: 'consultations', consultationFilters: EMPTY_CONSULTATION_FILTERS, consultationPage: 1 })
   }
 
-  const patientTotalPages = Math.max(1, Math.ceil((patientMeta.count || 0) / PAGE_SIZE))
-  const consultationTotalPages = Math.max(1, Math.ceil((consultationMeta.count || 0) / PAGE_SIZE))
+  const currentPage = PAGES.find((p) => p.id === page)
+  const dashboardRange = resolveRange(dashboard.range)
+  const triageItems = triage.items.map(reviewed).filter(needsTriage)
+  const urgentCount = triageItems.filter((item) => item.ai_summary?.requires_urgent_care).length
+
+  function renderConsultationCard(item) {
+    return (
+      <ConsultationCard
+        key={item.id}
+        item={item}
+        review={summaryReviews.recordFor(item.id)}
+        patientName={patientDirectory.directory[item.patient]?.full_name}
+        generating={summaryJobs.isProcessing(item.id)}
+        onOpen={openConsultation}
+        onOpenPatient={openPatient}
+        onGenerateSummary={regenerateSummary}
+        onEditSummary={editSummary}
+        onReviewSummary={reviewSummary}
+        onSave={updateConsultation}
+        onDelete={confirmDeleteConsultation}
+        onPrint={printConsultation}
+      />
+    )
+  }
+
+  const patientTotalPages = Math.max(1, Math.ceil((patientMeta.count || 0) / patientMeta.pageSize))
+  const consultationTotalPages = Math.max(1, Math.ceil((consultationMeta.count || 0) / consultationMeta.pageSize))
+  const ignoredConsultationLabels = consultationMeta.ignored
+    .map((param) => t(CONSULTATION_PARAM_LABELS[param]))
+    .join(', ')
+
+  function turnPage(step) {
+    if (page === 'patients' && (step < 0 ? patientMeta.previous : patientMeta.next)) {
+      goToPatientPage(Math.max(1, patientPage + step))
+    } else if (page === 'consultations' && (step < 0 ? consultationMeta.previous : consultationMeta.next)) {
+      goToConsultationPage(Math.max(1, consultationPage + step))
+    }
+  }
+
+  function refreshPage() {
+    if (page === 'patients') loadPatients(patientPage, undefined, { force: true })
+    else if (page === 'consultations') loadConsultations(consultationPage, undefined, { force: true })
+    else if (page === 'dashboard') loadDashboard()
+    else if (page === 'triage') loadTriage()
+    else if (page === 'patient' && selectedPatientId != null) loadPatientHistory(selectedPatientId)
+    else if (page === 'consultation' && selectedConsultation.id != null) showConsultation(selectedConsultation.id)
+    else if (page === 'settings') runHealthCheck()
+  }
+
+  function togglePalette() {
+    if (paletteOpen) setPaletteOpen(false)
+    else if (!document.querySelector('[aria-modal="true"]')) setPaletteOpen(true)
+  }
+
+  useShortcuts(shortcuts, {
+    palette: togglePalette,
+    previousPage: () => turnPage(-1),
+    nextPage: () => turnPage(1),
+    refresh: refreshPage,
+    help: () => setShortcutHelpOpen(true),
+  })
+
+  const selectedPatient = page === 'patient'
+    ? patientDirectory.directory[selectedPatientId]
+    : patientDirectory.directory[consultationFilters.patient_id]
+  const knownSymptoms = page === 'consultations'
+    ? symptomSuggestions(
+      [...consultations, ...triage.items, ...patientHistory.items, ...dashboard.consultations].map(reviewed),
+      symptomVocabulary
+    )
+    : []
+
+  const paletteCommands = [
+    ...PAGES.filter((item) => !item.hidden).map((item) => ({
+      id: `page-${item.id}`,
+      label: t('Go to {page}', { page: t(item.label) }),
+      run: () => navigate(routeFor(item.id)),
+    })),
+    { id: 'new-patient', label: t('New patient'), keywords: [t('Create Patient')], run: newPatient },
+    {
+      id: 'new-consultation',
+      label: selectedPatient ? t('New consultation for {name}', { name: selectedPatient.full_name }) : t('New consultation'),
+      keywords: [t('Create Consultation')],
+      run: newConsultation,
+    },
+    ...filterPresets.map((preset) => ({
+      id: `preset-${preset.id}`,
+      label: t('Apply preset "{name}"', { name: preset.name }),
+      run: () => applyFilterPreset(preset),
+    })),
+    { id: 'shortcuts', label: t('Show keyboard shortcuts'), run: () => setShortcutHelpOpen(true) },
+    ...(isLoggedIn ? [{ id: 'logout', label: t('Log out'), run: () => handleLogout() }] : []),
+  ]
 
   useEffect(() => {
-    const savedAccess = getCookie(COOKIE_ACCESS)
-    const savedRefresh = getCookie(COOKIE_REFRESH)
-    if (savedAccess) {
-      setAccessToken(savedAccess)
-      setRefreshToken(savedRefresh)
-      setPage('patients')
+    restoreTokens()
+    runHealthCheck()
+    navigate(parseLocation(window.location), { replace: true })
+
+    function handlePopState() {
+      applyRouteRef.current(parseLocation(window.location))
     }
+
+    window.addEventListener('popstate', handlePopState)
+    return () => window.removeEventListener('popstate', handlePopState)
   }, [])
 
   useEffect(() => {
-    if (accessToken && !initialLoaded) {
-      loadPatients(1, patientFilters)
-      loadConsultations(1, consultationFilters)
-      setInitialLoaded(true)
+    patientDirectory.remember(patients)
+  }, [patients])
+
+  useEffect(() => {
+    document.documentElement.lang = i18n.id
+    document.documentElement.dir = i18n.dir
+  }, [i18n])
+
+  useEffect(() => {
+    document.title = `${t(currentPage?.label)} · ${t('Consultation Frontend')}`
+  }, [page, i18n])
+
+  useEffect(() => {
+    pageHeadingRef.current?.focus({ preventScroll: true })
+  }, [page])
+
+  useEffect(() => {
+    if (accessToken) loadTriage()
+  }, [accessToken, environmentId])
+
+  useEffect(() => {
+    setSymptomVocabulary(loadSymptomVocabulary(environmentId))
+  }, [environmentId])
+
+  const idleTimer = useIdleTimer({
+    enabled: isLoggedIn,
+    timeoutMs: idleMinutes * 60000,
+    onIdle: () => handleLogout(currentUrl(), {
+      message: t('Logged out after {count} minutes of inactivity.', { count: idleMinutes }),
+      level: 'warning',
+    }),
+    onShareActivity: (at) => sessionChannelRef.current?.post({ type: 'activity', at }),
+  })
+
+  sessionMessageRef.current = (message) => {
+    if (message?.type === 'activity') idleTimer.touch(message.at)
+    if (message?.type === 'session' && message.environmentId === environmentRef.current.id) {
+      syncSessionFromCookies()
     }
-  }, [accessToken, initialLoaded])
+  }
 
   useEffect(() => {
-    if (page === 'consultations' && accessToken && patients.length === 0) {
-      loadPatients(1, patientFilters)
+    const channel = createSessionChannel((message) => sessionMessageRef.current(message))
+    sessionChannelRef.current = channel
+    return () => {
+      channel.close()
+      sessionChannelRef.current = null
     }
-  }, [page, accessToken, patients.length])
+  }, [])
 
-  useEffect(() => () => stopPolling(), [])
+  useEffect(() => {
+    if (!sessionExpiresAt) return undefined
+    const cancelWarning = scheduleAt(sessionExpiresAt - SESSION_WARNING_MS, () => {
+      setSessionWarning((prev) => (prev.open ? prev : { open: true, extending: false, message: '' }))
+    })
+    const cancelExpiry = scheduleAt(sessionExpiresAt, () => {
+      handleLogout(currentUrl(), { message: t('Session expired. Please log in again.'), level: 'error' })
+    })
+    return () => {
+      cancelWarning()
+      cancelExpiry()
+    }
+  }, [sessionExpiresAt])
 
-  return (
-    <div className="layout">
-      <aside className="sidebar">
-        <div className="brand">
-          <div className="dot" />
-          <div>
-            <div className="brand-title">Consultation</div>
-            <div className="brand-sub">Simple Frontend</div>
-          </div>
-        </div>
-
-        <nav className="nav">
-          {PAGES.map((item) => (
-            <button
-              key={item.id}
-              className={`nav-btn ${page === item.id ? 'active' : ''}`}
-              onClick={() => setPage(item.id)}
-              type="button"
-            >
-              {item.label}
-            </button>
-          ))}
-        </nav>
-
-        {isLoggedIn && (
-          <button type="button" className="secondary" onClick={handleLogout}>
-            Logout
-          </button>
-        )}
-      </aside>
+  useEffect(() => {
+    function updateOnline() {
+      setOnline(navigator.onLine)
+    }
+    window.addEventListener('online', updateOnline)
+    window.addEventListener('offline', updateOnline)
+    return () => {
+      window.removeEventListener('online', updateOnline)
+      window.removeEventListener('offline', updateOnline)
+    }
+  }, [])
 
-      <main className="main">
-        <header className="page-header">
-          <div>
-            <h1>{PAGES.find((p) => p.id === page)?.label}</h1>
-            <p>Manage patients and consultations.</p>
-          </div>
-          {status && <div className="status">{status}</div>}
-        </header>
-
-        {page === 'login' && (
-          <section className="card">
-            <div className="section-head">
-              <h2>Login</h2>
-              {isLoggedIn && (
-                <button type="button" className="secondary" onClick={handleLogout}>
-                  Logout
-                </button>
-              )}
-            </div>
-            {!isLoggedIn ? (
-              <form onSubmit={handleLogin} className="stack">
-                <input
-                  value={username}
-                  onChange={(e) => setUsername(e.target.value)}
-                  placeholder="username"
-                />
-                <input
-                  type="password"
-                  value={password}
-                  onChange={(e) => setPassword(e.target.value)}
-                  placeholder="password"
-                />
-                <button type="submit">Login</button>
-              </form>
-            ) : (
-              <div className="note">You are logged in.</div>
-            )}
-            {refreshToken && <div className="note">Refresh token saved.</div>}
-          </section>
-        )}
+  useEffect(() => {
+    if (accessToken) outbox.sync()
+  }, [accessToken])
 
-        {page === 'patients' && (
-          <section className="card">
-            <div className="section-head">
-              <h2>Patients</h2>
-              <button onClick={() => loadPatients(1, patientFilters)}>Load Patients</button>
-            </div>
+  useEffect(() => {
+    if (!accessToken) return
+    const ids = consultations.map((item) => item.patient)
+    if (selectedConsultation.item) ids.push(selectedConsultation.item.patient)
+    patientDirectory.ensure(ids)
+  }, [consultations, selectedConsultation.item, accessToken])
 
-            <div className="filters">
-              <div className="filter-grid">
-                <input
-                  value={patientFilters.full_name}
-                  onChange={(e) => setPatientFilters({ ...patientFilters, full_name: e.target.value })}
-                  placeholder="Full name contains"
-                />
-                <input
-                  value={patientFilters.email}
-                  onChange={(e) => setPatientFilters({ ...patientFilters, email: e.target.value })}
-                  placeholder="Email equals"
-                />
-                <input
-                  type="date"
-                  value={patientFilters.date_of_birth_from}
-                  onChange={(e) => setPatientFilters({ ...patientFilters, date_of_birth_from: e.target.value })}
-                />
-                <input
-                  type="date"
-                  value={patientFilters.date_of_birth_to}
-                  onChange={(e) => setPatientFilters({ ...patientFilters, date_of_birth_to: e.target.value })}
-                />
-              </div>
-              <div className="filter-actions">
-                <button type="button" onClick={applyPatientFilters}>Apply Filters</button>
-                <button type="button" className="secondary" onClick={clearPatientFilters}>Clear</button>
-              </div>
-            </div>
+  useEffect(() => {
+    if (accessToken) patientDirectory.ensure([consultationFilters.patient_id, consultationForm.patient])
+  }, [consultationFilters.patient_id, consultationForm.patient, accessToken])
 
-            {patients.length > 0 ? (
-              <div className="card-grid">
-                {patients.map((patient) => (
-                  <div className="patient-card" key={patient.id}>
-                    <div className="patient-name">{patient.full_name}</div>
-                    <div className="muted">{patient.email}</div>
-                    <div className="muted">DOB: {formatDate(patient.date_of_birth)}</div>
-                    <div className="muted">ID: {patient.id}</div>
-                  </div>
-                ))}
-              </div>
-            ) : (
-              <div className="empty">No patients loaded yet.</div>
-            )}
+  useEffect(() => {
+    summaryReviews.sync([...consultations, ...triage.items, ...patientHistory.items, selectedConsultation.item])
+  }, [consultations, triage.items, patientHistory.items, selectedConsultation.item, summaryReviews.loaded])
+
+  return (
+    <I18nContext.Provider value={i18n}>
+      <a
+        className="skip-link"
+        href="#main"
+        onClick={(e) => {
+          e.preventDefault()
+          pageHeadingRef.current?.focus()
+        }}
+      >
+        {t('Skip to main content')}
+      </a>
+      <div className="layout">
+        <aside className="sidebar">
+          <div className="brand">
+            <div className="dot" />
+            <div>
+              <div className="brand-title">{t('Consultation')}</div>
+              <div className="brand-sub">{t('Simple Frontend')}</div>
+            </div>
+          </div>
+          <button
+            type="button"
+            className={`env-badge env-health-${health.status}`}
+            title={environment.baseUrl}
+            onClick={() => navigate({ page: 'settings' })}
+          >
+            <span className="env-dot" />
+            {environment.builtIn ? t(environment.name) : environment.name}
+          </button>
 
-            <div className="pagination">
+          <nav className="nav" aria-label={t('Main')}>
+            {PAGES.filter((item) => !item.hidden).map((item) => (
+              <button
+                key={item.id}
+                className={`nav-btn ${page === item.id || currentPage?.parent === item.id ? 'active' : ''}`}
+                aria-current={page === item.id || currentPage?.parent === item.id ? 'page' : undefined}
+                onClick={() => navigate(routeFor(item.id))}
+                type="button"
+              >
+                {t(item.label)}
+                {item.id === 'triage' && urgentCount > 0 && (
+                  <span className="nav-count" title={t('Open urgent cases')}>{i18n.formatNumber(urgentCount)}</span>
+                )}
+              </button>
+            ))}
+          </nav>
+
+          {isLoggedIn && (
+            <>
+              <SessionCountdown expiresAt={sessionExpiresAt} warningMs={SESSION_WARNING_MS} />
+              <button type="button" className="secondary" onClick={() => handleLogout()}>
+                {t('Logout')}
+              </button>
+            </>
+          )}
+
+          <select
+            className="language-select"
+            aria-label={t('Language')}
+            value={language}
+            onChange={(e) => changeLanguage(e.target.value)}
+          >
+            {LANGUAGES.map((option) => (
+              <option key={option.id} value={option.id} lang={option.id}>{option.label}</option>
+            ))}
+          </select>
+        </aside>
+
+        <main className="main" id="main">
+          <header className="page-header">
+            <div>
+              <h1 ref={pageHeadingRef} tabIndex={-1}>{t(currentPage?.label)}</h1>
+              <p>{t('Manage patients and consultations.')}</p>
+            </div>
+            <div className="section-actions">
               <button
                 type="button"
                 className="secondary"
-                disabled={!patientMeta.previous}
-                onClick={() => loadPatients(Math.max(1, patientPage - 1), patientFilters)}
+                aria-haspopup="dialog"
+                aria-keyshortcuts="Control+K Meta+K"
+                onClick={() => setPaletteOpen(true)}
               >
-                Previous
+                {t('Commands')} <kbd>{paletteShortcutLabel()}</kbd>
               </button>
-              <div className="pagination-info">
-                Page {patientPage} of {patientTotalPages} · Total {patientMeta.count}
-              </div>
               <button
                 type="button"
                 className="secondary"
-                disabled={!patientMeta.next}
-                onClick={() => loadPatients(patientPage + 1, patientFilters)}
+                aria-expanded={notificationsOpen}
+                onClick={() => setNotificationsOpen((open) => !open)}
               >
-                Next
+                {t('Notifications ({count})', { count: notifications.history.length })}
               </button>
             </div>
+          </header>
+
+          {page === 'login' && (
+            <section className="card">
+              <div className="section-head">
+                <h2>{t('Login')}</h2>
+                {isLoggedIn && (
+                  <button type="button" className="secondary" onClick={() => handleLogout()}>
+                    {t('Logout')}
+                  </button>
+                )}
+              </div>
+              {!isLoggedIn ? (
+                <form onSubmit={handleLogin} className="stack">
+                  <label className="stack-label">
+                    {t('Username')}
+                    <input
+                      autoComplete="username"
+                      required
+                      value={username}
+                      onChange={(e) => setUsername(e.target.value)}
+                    />
+                  </label>
+                  <label className="stack-label">
+                    {t('Password')}
+                    <input
+                      type="password"
+                      autoComplete="current-password"
+                      required
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                    />
+                  </label>
+                  <button type="submit">{t('Login')}</button>
+                </form>
+              ) : (
+                <div className="note">{t('You are logged in.')}</div>
+              )}
+              {refreshToken && <div className="note">{t('Refresh token saved.')}</div>}
+            </section>
+          )}
+
+          {page === 'patients' && (
+            <section className="card">
+              <div className="section-head">
+                <h2>{t('Patients')}</h2>
+                <button onClick={() => loadPatients(patientPage, undefined, { force: true })}>{t('Load Patients')}</button>
+              </div>
 
-            <div className="divider" />
+              <div className="filters">
+                <div className="filter-grid">
+                  <label className="stack-label">
+                    {t('Full name contains')}
+                    <input
+                      value={patientFilters.full_name}
+                      onChange={(e) => setPatientFilters({ ...patientFilters, full_name: e.target.value })}
+                    />
+                  </label>
+                  <label className="stack-label">
+                    {t('Email equals')}
+                    <input
+                      type="email"
+                      value={patientFilters.email}
+                      onChange={(e) => setPatientFilters({ ...patientFilters, email: e.target.value })}
+                    />
+                  </label>
+                  <label className="stack-label">
+                    {t('Born on or after')}
+                    <input
+                      type="date"
+                      value={patientFilters.date_of_birth_from}
+                      onChange={(e) => setPatientFilters({ ...patientFilters, date_of_birth_from: e.target.value })}
+                    />
+                  </label>
+                  <label className="stack-label">
+                    {t('Born on or before')}
+                    <input
+                      type="date"
+                      value={patientFilters.date_of_birth_to}
+                      onChange={(e) => setPatientFilters({ ...patientFilters, date_of_birth_to: e.target.value })}
+                    />
+                  </label>
+                  <label className="stack-label">
+                    {t('Page size')}
+                    <select
+                      value={patientFilters.page_size}
+                      onChange={(e) => setPatientFilters({ ...patientFilters, page_size: e.target.value })}
+                    >
+                      <option value="">{t('{count} per page', { count: DEFAULT_PAGE_SIZE })}</option>
+                      {PAGE_SIZES.filter((size) => size !== DEFAULT_PAGE_SIZE).map((size) => (
+                        <option key={size} value={String(size)}>{t('{count} per page', { count: size })}</option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+                <div className="filter-actions">
+                  <button type="button" onClick={applyPatientFilters}>{t('Apply Filters')}</button>
+                  <button type="button" className="secondary" onClick={clearPatientFilters}>{t('Clear')}</button>
+                </div>
+                <FilterPresets
+                  presets={filterPresets.filter((preset) => preset.scope === 'patients')}
+                  onApply={applyFilterPreset}
+                  onSave={(name) => saveFilterPreset('patients', name)}
+                  onDelete={deleteFilterPreset}
+                  onShare={shareFilterPreset}
+                />
+              </div>
 
-            <h3>Create Patient</h3>
-            <form onSubmit={createPatient} className="stack">
-              <input
-                value={patientForm.full_name}
-                onChange={(e) => setPatientForm({ ...patientForm, full_name: e.target.value })}
-                placeholder="full name"
-              />
-              <input
-                type="date"
-                value={patientForm.date_of_birth}
-                onChange={(e) => setPatientForm({ ...patientForm, date_of_birth: e.target.value })}
+              {patients.length > 0 ? (
+                <div className="card-grid" onKeyDown={handleGridKeyDown}>
+                  {patients.map((patient) => (
+                    <PatientCard
+                      key={patient.id}
+                      patient={patient}
+                      onOpen={openPatient}
+                      onSave={updatePatient}
+                      onDelete={confirmDeletePatient}
+                    />
+                  ))}
+                </div>
+              ) : (
+                <div className="empty">{t('No patients loaded yet.')}</div>
+              )}
+
+              <Pagination
+                label={t('Patient pages')}
+                page={patientPage}
+                pages={patientTotalPages}
+                count={patientMeta.count}
+                hasPrevious={Boolean(patientMeta.previous)}
+                hasNext={Boolean(patientMeta.next)}
+                onChange={goToPatientPage}
               />
-              <input
-                type="email"
-                value={patientForm.email}
-                onChange={(e) => setPatientForm({ ...patientForm, email: e.target.value })}
-                placeholder="email"
+
+              <div className="divider" />
+
+              <h3>{t('Bulk Import')}</h3>
+              <PatientImport
+                createPatient={(patient) => request('POST', '/patients/', patient, { silent: true })}
+                loadExistingPatients={loadAllPatients}
+                onFinished={(created) => {
+                  if (created > 0) {
+                    invalidateQueries('/patients/')
+                    loadPatients(1)
+                  }
+                  notifications.success(t('Imported {count} patients.', { count: created }))
+                }}
               />
-              <button type="submit">Create Patient</button>
-            </form>
-          </section>
-        )}
 
-        {page === 'consultations' && (
-          <section className="card">
-            <div className="section-head">
-              <h2>Consultations</h2>
-              <div className="section-actions">
-                <button onClick={() => loadConsultations(1, consultationFilters)}>Load Consultations</button>
-                <button className="secondary" onClick={() => loadPatients(1, patientFilters)}>
-                  Refresh Patients
-                </button>
+              <div className="divider" />
+
+              <h3 id="create-patient">{t('Create Patient')}</h3>
+              <form onSubmit={createPatient} className="stack" noValidate>
+                <FieldError message={patientErrors.non_field_errors} className="form-error" />
+                <label className="stack-label">
+                  {t('Full name')}
+                  <input
+                    {...fieldProps('new-patient-full_name', patientErrors.full_name)}
+                    className={patientErrors.full_name ? 'invalid' : ''}
+                    required
+                    autoComplete="off"
+                    value={patientForm.full_name}
+                    onChange={(e) => updatePatientForm('full_name', e.target.value)}
+                  />
+                </label>
+                <FieldError fieldId="new-patient-full_name" message={patientErrors.full_name} />
+                <label className="stack-label">
+                  {t('Date of birth')}
+                  <input
+                    {...fieldProps('new-patient-date_of_birth', patientErrors.date_of_birth)}
+                    type="date"
+                    className={patientErrors.date_of_birth ? 'invalid' : ''}
+                    required
+                    max={todayISO()}
+                    value={patientForm.date_of_birth}
+                    onChange={(e) => updatePatientForm('date_of_birth', e.target.value)}
+                  />
+                </label>
+                <FieldError fieldId="new-patient-date_of_birth" message={patientErrors.date_of_birth} />
+                <label className="stack-label">
+                  {t('Email')}
+                  <input
+                    {...fieldProps('new-patient-email', patientErrors.email)}
+                    type="email"
+                    className={patientErrors.email ? 'invalid' : ''}
+                    required
+                    autoComplete="off"
+                    value={patientForm.email}
+                    onChange={(e) => updatePatientForm('email', e.target.value)}
+                  />
+                </label>
+                <FieldError fieldId="new-patient-email" message={patientErrors.email} />
+                {patientDuplicates ? (
+                  <DuplicatePatients
+                    matches={patientDuplicates.matches}
+                    failed={patientDuplicates.failed}
+                    creating={creatingPatient}
+                    onOpen={openPatient}
+                    onConfirm={submitPatient}
+                    onCancel={() => setPatientDuplicates(null)}
+                  />
+                ) : (
+                  <button type="submit" disabled={creatingPatient}>
+                    {creatingPatient ? t('Checking for duplicates...') : t('Create Patient')}
+                  </button>
+                )}
+              </form>
+            </section>
+          )}
+
+          {page === 'consultations' && (
+            <section className="card">
+              <div className="section-head">
+                <h2>{t('Consultations')}</h2>
+                <div className="section-actions">
+                  <button onClick={() => loadConsultations(consultationPage, undefined, { force: true })}>
+                    {t('Load Consultations')}
+                  </button>
+                  <button type="button" className="secondary" disabled={exporting} onClick={() => exportConsultations('csv')}>
+                    {t('Export CSV')}
+                  </button>
+                  <button type="button" className="secondary" disabled={exporting} onClick={() => exportConsultations('json')}>
+                    {t('Export JSON')}
+                  </button>
+                </div>
               </div>
-            </div>
 
-            <div className="filters">
-              <div className="filter-grid">
-                <select
-                  value={consultationFilters.patient_id}
-                  onChange={(e) => setConsultationFilters({ ...consultationFilters, patient_id: e.target.value })}
-                >
-                  <option value="">All patients</option>
-                  {patients.map((patient) => (
-                    <option key={patient.id} value={patient.id}>
-                      {patient.full_name} ({formatDate(patient.date_of_birth)})
-                    </option>
-                  ))}
-                </select>
-                <input
-                  type="date"
-                  value={consultationFilters.created_at_from}
-                  onChange={(e) => setConsultationFilters({ ...consultationFilters, created_at_from: e.target.value })}
-                />
-                <input
-                  type="date"
-                  value={consultationFilters.created_at_to}
-                  onChange={(e) => setConsultationFilters({ ...consultationFilters, created_at_to: e.target.value })}
+              <div className="filters">
+                <div className="filter-grid">
+                  <div className="stack-label">
+                    <label htmlFor="consultation-filter-patient">{t('Patient')}</label>
+                    <PatientPicker
+                      id="consultation-filter-patient"
+                      value={consultationFilters.patient_id}
+                      selected={patientDirectory.directory[consultationFilters.patient_id]}
+                      searchPatients={searchPatients}
+                      recentScope={userScope}
+                      clearLabel={t('All patients')}
+                      onSelect={(patient) => {
+                        if (patient) patientDirectory.remember([patient])
+                        setConsultationFilters({ ...consultationFilters, patient_id: patient ? String(patient.id) : '' })
+                      }}
+                    />
+                  </div>
+                  <label className="stack-label">
+                    {t('Search symptoms and diagnosis')}
+                    <input
+                      type="search"
+                      value={consultationFilters.search}
+                      onChange={(e) => setConsultationFilters({ ...consultationFilters, search: e.target.value })}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') applyConsultationFilters()
+                      }}
+                    />
+                  </label>
+                  <label className="stack-label">
+                    {t('Created')}
+                    <select
+                      value={consultationFilters.period}
+                      onChange={(e) => setConsultationFilters({ ...consultationFilters, period: e.target.value })}
+                    >
+                      {CREATED_PERIODS.map((option) => (
+                        <option key={option.id} value={option.id}>{t(option.label)}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="stack-label">
+                    {t('Created on or after')}
+                    <input
+                      type="date"
+                      disabled={Boolean(consultationFilters.period)}
+                      value={consultationFilters.created_at_from}
+                      onChange={(e) => setConsultationFilters({ ...consultationFilters, created_at_from: e.target.value })}
+                    />
+                  </label>
+                  <label className="stack-label">
+                    {t('Created on or before')}
+                    <input
+                      type="date"
+                      disabled={Boolean(consultationFilters.period)}
+                      value={consultationFilters.created_at_to}
+                      onChange={(e) => setConsultationFilters({ ...consultationFilters, created_at_to: e.target.value })}
+                    />
+                  </label>
+                  <label className="stack-label">
+                    {t('AI summary')}
+                    <select
+                      value={consultationFilters.has_summary}
+                      onChange={(e) => setConsultationFilters({ ...consultationFilters, has_summary: e.target.value })}
+                    >
+                      <option value="">{t('With or without AI summary')}</option>
+                      <option value="yes">{t('Has AI summary')}</option>
+                      <option value="no">{t('No AI summary yet')}</option>
+                    </select>
+                  </label>
+                  <label className="stack-label">
+                    {t('Urgency')}
+                    <select
+                      value={consultationFilters.urgent}
+                      onChange={(e) => setConsultationFilters({ ...consultationFilters, urgent: e.target.value })}
+                    >
+                      <option value="">{t('Any urgency')}</option>
+                      <option value="yes">{t('Urgent only')}</option>
+                    </select>
+                  </label>
+                  <label className="stack-label">
+                    {t('Sort by')}
+                    <select
+                      value={consultationFilters.ordering}
+                      onChange={(e) => setConsultationFilters({ ...consultationFilters, ordering: e.target.value })}
+                    >
+                      {CONSULTATION_ORDERINGS.map((option) => (
+                        <option key={option.id} value={option.id}>{t(option.label)}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="stack-label">
+                    {t('Page size')}
+                    <select
+                      value={consultationFilters.page_size}
+                      onChange={(e) => setConsultationFilters({ ...consultationFilters, page_size: e.target.value })}
+                    >
+                      <option value="">{t('{count} per page', { count: DEFAULT_PAGE_SIZE })}</option>
+                      {PAGE_SIZES.filter((size) => size !== DEFAULT_PAGE_SIZE).map((size) => (
+                        <option key={size} value={String(size)}>{t('{count} per page', { count: size })}</option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+                <div className="filter-actions">
+                  <button type="button" onClick={applyConsultationFilters}>{t('Apply Filters')}</button>
+                  <button type="button" className="secondary" onClick={clearConsultationFilters}>{t('Clear')}</button>
+                </div>
+                <FilterPresets
+                  presets={filterPresets.filter((preset) => preset.scope === 'consultations')}
+                  onApply={applyFilterPreset}
+                  onSave={(name) => saveFilterPreset('consultations', name)}
+                  onDelete={deleteFilterPreset}
+                  onShare={shareFilterPreset}
                 />
               </div>
-              <div className="filter-actions">
-                <button type="button" onClick={applyConsultationFilters}>Apply Filters</button>
-                <button type="button" className="secondary" onClick={clearConsultationFilters}>Clear</button>
-              </div>
-            </div>
 
-            {consultations.length > 0 ? (
-              <div className="consultation-grid">
-                {consultations.map((item) => (
-                  <div className="consultation-card" key={item.id}>
-                    <div className="consultation-head">
-                      <div>
-                        <div className="consultation-id">ID: {item.id}</div>
-                        <div className="muted">Patient: {item.patient}</div>
-                      </div>
-                      <button
-                        type="button"
-                        className="secondary"
-                        onClick={() => generateSummary(item.id)}
-                      >
-                        Generate Summary
-                      </button>
-                    </div>
-
-                    <div className="consultation-body">
-                      <div>
-                        <strong>Symptoms</strong>
-                        <p>{item.symptoms || '-'}</p>
-                      </div>
-                      <div>
-                        <strong>Diagnosis</strong>
-                        <p>{item.diagnosis || '-'}</p>
-                      </div>
-                    </div>
-
-                    <div className="consultation-meta">
-                      Created: {formatDate(item.created_at)}
-                    </div>
-
-                    {item.ai_summary && (
-                      <div className="summary">
-                        <div><strong>Brief:</strong> {item.ai_summary.brief_summary}</div>
-                        <div><strong>Symptoms:</strong> {(item.ai_summary.key_symptoms || []).join(', ')}</div>
-                        <div><strong>Urgent:</strong> {String(item.ai_summary.requires_urgent_care)}</div>
-                        <div><strong>Plan:</strong> {item.ai_summary.suggested_treatment_plan}</div>
-                      </div>
-                    )}
-                  </div>
-                ))}
-              </div>
-            ) : (
-              <div className="empty">No consultations loaded yet.</div>
-            )}
+              {ignoredConsultationLabels && (
+                <p className="muted" role="status">
+                  {t('The backend ignored {params}, so every page was loaded and filtered in this browser.', {
+                    params: ignoredConsultationLabels,
+                  })}
+                </p>
+              )}
 
-            <div className="pagination">
-              <button
-                type="button"
-                className="secondary"
-                disabled={!consultationMeta.previous}
-                onClick={() => loadConsultations(Math.max(1, consultationPage - 1), consultationFilters)}
-              >
-                Previous
-              </button>
-              <div className="pagination-info">
-                Page {consultationPage} of {consultationTotalPages} · Total {consultationMeta.count}
-              </div>
-              <button
-                type="button"
-                className="secondary"
-                disabled={!consultationMeta.next}
-                onClick={() => loadConsultations(consultationPage + 1, consultationFilters)}
-              >
-                Next
-              </button>
-            </div>
+              {consultations.length > 0 ? (
+                <div className="consultation-grid" onKeyDown={handleGridKeyDown}>
+                  {consultations.map(renderConsultationCard)}
+                </div>
+              ) : (
+                <div className="empty">{t('No consultations loaded yet.')}</div>
+              )}
 
-            <div className="divider" />
-
-            <h3>Create Consultation</h3>
-            <form onSubmit={createConsultation} className="stack">
-              <label>
-                Patient
-                <select
-                  value={consultationForm.patient}
-                  onChange={(e) => setConsultationForm({ ...consultationForm, patient: e.target.value })}
-                >
-                  <option value="">Select patient</option>
-                  {patients.map((patient) => (
-                    <option key={patient.id} value={patient.id}>
-                      {patient.full_name} ({formatDate(patient.date_of_birth)})
-                    </option>
-                  ))}
-                </select>
-              </label>
-              <textarea
-                value={consultationForm.symptoms}
-                onChange={(e) => setConsultationForm({ ...consultationForm, symptoms: e.target.value })}
-                placeholder="symptoms"
-                rows={3}
+              <Pagination
+                label={t('Consultation pages')}
+                page={consultationPage}
+                pages={consultationTotalPages}
+                count={consultationMeta.count}
+                hasPrevious={Boolean(consultationMeta.previous)}
+                hasNext={Boolean(consultationMeta.next)}
+                onChange={goToConsultationPage}
               />
-              <textarea
-                value={consultationForm.diagnosis}
-                onChange={(e) => setConsultationForm({ ...consultationForm, diagnosis: e.target.value })}
-                placeholder="diagnosis"
-                rows={3}
+
+              <div className="divider" />
+
+              <OutboxPanel
+                items={outbox.items}
+                online={online}
+                onSync={outbox.sync}
+                onRetry={outbox.retry}
+                onDiscard={outbox.discard}
+                onClearSynced={outbox.clearSynced}
               />
-              <button type="submit">Create Consultation</button>
-            </form>
-          </section>
-        )}
-      </main>
-
-      {summaryDialog.open && (
-        <div
-          className="modal-backdrop"
-          onClick={() => {
-            stopPolling()
-            setSummaryDialog({ open: false, message: '', id: null })
-          }}
-        >
-          <div className="modal" onClick={(e) => e.stopPropagation()}>
-            <h3>Generating Summary</h3>
-            <p>{summaryDialog.message}</p>
+
+              <h3 id="create-consultation">{t('Create Consultation')}</h3>
+              <form onSubmit={createConsultation} className="stack" noValidate>
+                <FieldError message={consultationErrors.non_field_errors} className="form-error" />
+                <div className="stack-label">
+                  <label htmlFor="new-consultation-patient">{t('Patient')}</label>
+                  <PatientPicker
+                    id="new-consultation-patient"
+                    describedBy={consultationErrors.patient ? errorId('new-consultation-patient') : undefined}
+                    value={consultationForm.patient}
+                    selected={patientDirectory.directory[consultationForm.patient]}
+                    searchPatients={searchPatients}
+                    recentScope={userScope}
+                    invalid={Boolean(consultationErrors.patient)}
+                    onSelect={(patient) => {
+                      patientDirectory.remember([patient])
+                      updateConsultationForm('patient', String(patient.id))
+                    }}
+                  />
+                </div>
+                <FieldError fieldId="new-consultation-patient" message={consultationErrors.patient} />
+                <ConsultationEntry
+                  idPrefix="new-consultation"
+                  entry={consultationForm}
+                  errors={consultationErrors}
+                  suggestions={knownSymptoms}
+                  onChange={updateConsultationForm}
+                  onTemplate={chooseConsultationTemplate}
+                />
+                <button type="submit">{t('Create Consultation')}</button>
+              </form>
+            </section>
+          )}
+
+          {page === 'patient' && (
+            <PatientDetail
+              patient={patientDirectory.directory[selectedPatientId]}
+              consultations={patientHistory.patientId === selectedPatientId ? patientHistory.items.map(reviewed) : []}
+              loading={patientHistory.loading}
+              complete={patientHistory.complete}
+              generatingIds={summaryJobs.jobList
+                .filter((job) => job.status === 'processing')
+                .map((job) => job.id)}
+              onBack={() => navigate(routeFor('patients'))}
+              onReload={() => loadPatientHistory(selectedPatientId)}
+              onNewConsultation={() => newConsultationForPatient(selectedPatientId)}
+              onGenerateSummary={regenerateSummary}
+              onPrint={printPatientHistory}
+            />
+          )}
+
+          {page === 'dashboard' && (
+            <Dashboard
+              key={buildUrl(routeFor('dashboard'))}
+              range={dashboardRange}
+              loading={dashboard.loading}
+              loadedAt={dashboard.loadedAt}
+              consultations={dashboard.consultations.map(reviewed)}
+              patients={dashboard.patients}
+              onRangeChange={(range) => navigate({ page: 'dashboard', dashboardRange: range })}
+              onRefresh={() => loadDashboard()}
+              onSelectPeriod={(bar) => navigate({
+                page: 'consultations',
+                consultationFilters: { ...EMPTY_CONSULTATION_FILTERS, created_at_from: bar.from, created_at_to: bar.to },
+                consultationPage: 1,
+              })}
+              onSelectAgeGroup={(bar) => navigate({
+                page: 'patients',
+                patientFilters: {
+                  ...EMPTY_PATIENT_FILTERS,
+                  date_of_birth_from: bar.dateOfBirthFrom,
+                  date_of_birth_to: bar.dateOfBirthTo,
+                },
+                patientPage: 1,
+              })}
+            />
+          )}
+
+          {page === 'triage' && (
+            <TriageView
+              items={triageItems}
+              loading={triage.loading}
+              loadedAt={triage.loadedAt}
+              sort={triageSort}
+              queueing={queueingSummaries}
+              onSortChange={setTriageSort}
+              onRefresh={loadTriage}
+              onSummariseAll={summariseAll}
+              renderCard={(item) => renderConsultationCard(triage.items.find((entry) => entry.id === item.id) || item)}
+            />
+          )}
+
+          {page === 'inspector' && (
+            <ApiInspector
+              entries={apiLog.entries}
+              onClear={apiLog.clear}
+              onReplay={(entry) => request(entry.method, entry.path, apiLog.requestBodyFor(entry))}
+              onCopyFailed={(command) => {
+                notifications.warning(t('Could not copy automatically. Command: {command}', { command }))
+              }}
+            />
+          )}
+
+          {page === 'settings' && (
+            <EnvironmentSettings
+              environments={environments}
+              activeId={environmentId}
+              health={health}
+              onSwitch={switchEnvironment}
+              onSave={saveEnvironment}
+              onRemove={removeEnvironment}
+              onCheck={() => runHealthCheck()}
+            />
+          )}
+
+          {page === 'settings' && environment.mock && (
+            <MockBackendSettings
+              onSave={() => notifications.success(t('Mock backend settings saved.'))}
+              onReset={resetMockBackend}
+            />
+          )}
+
+          {page === 'settings' && (
+            <SessionSettings
+              idleMinutes={idleMinutes}
+              expiresAt={sessionExpiresAt}
+              onIdleMinutesChange={updateIdleMinutes}
+            />
+          )}
+
+          {page === 'settings' && <ShortcutSettings shortcuts={shortcuts} onChange={updateShortcuts} />}
+
+          {page === 'consultation' && (
+            <section className="card">
+              <div className="section-head">
+                <h2>{t('Consultation {id}', { id: selectedConsultation.id })}</h2>
+                <button type="button" className="secondary" onClick={() => navigate(routeFor('consultations'))}>
+                  {t('Back')}
+                </button>
+              </div>
+              {selectedConsultation.item ? (
+                renderConsultationCard(selectedConsultation.item)
+              ) : (
+                <div className="empty" role="status">
+                  {selectedConsultation.loading ? t('Loading consultation...') : t('Consultation not found.')}
+                </div>
+              )}
+            </section>
+          )}
+        </main>
+
+        {summaryDialog.open && (
+          <Modal title={t('Generating Summary')} onClose={closeSummaryDialog}>
+            <p role="status">
+              {summaryJobs.jobs[summaryDialog.id]?.status === 'processing'
+                ? t('AI is generating the summary. This may take a few seconds.')
+                : t(summaryJobs.jobs[summaryDialog.id]?.message)}
+            </p>
+            <p className="muted">{t('You can close this dialog; progress stays in the jobs panel.')}</p>
             <div className="modal-actions">
-              <button
-                type="button"
-                className="secondary"
-                onClick={() => {
-                  stopPolling()
-                  setSummaryDialog({ open: false, message: '', id: null })
-                }}
-              >
-                Close
+              <button type="button" className="secondary" onClick={closeSummaryDialog}>
+                {t('Close')}
               </button>
             </div>
-          </div>
-        </div>
-      )}
-    </div>
+          </Modal>
+        )}
+
+        {sessionWarning.open && sessionExpiresAt && (
+          <SessionWarning
+            expiresAt={sessionExpiresAt}
+            warningMs={SESSION_WARNING_MS}
+            message={sessionWarning.message}
+            extending={sessionWarning.extending}
+            onExtend={extendSession}
+            onLogout={() => handleLogout()}
+          />
+        )}
+
+        {confirmDialog && (
+          <ConfirmDialog
+            title={confirmDialog.title}
+            message={confirmDialog.message}
+            confirmLabel={confirmDialog.confirmLabel}
+            onCancel={() => setConfirmDialog(null)}
+            onConfirm={() => {
+              confirmDialog.onConfirm()
+              setConfirmDialog(null)
+            }}
+          />
+        )}
+
+        {paletteOpen && (
+          <CommandPalette
+            commands={paletteCommands}
+            searchPatients={isLoggedIn ? searchPatients : null}
+            onOpenPatient={openPatient}
+            onOpenConsultation={(id) => openConsultation({ id })}
+            onGenerateSummary={(id) => regenerateSummary(Number(id))}
+            onClose={() => setPaletteOpen(false)}
+          />
+        )}
+
+        {shortcutHelpOpen && (
+          <ShortcutHelp shortcuts={shortcuts} onClose={() => setShortcutHelpOpen(false)} />
+        )}
+
+        {notificationsOpen && (
+          <NotificationHistory
+            items={notifications.history}
+            onClose={() => setNotificationsOpen(false)}
+            onClear={notifications.clearHistory}
+          />
+        )}
+
+        <ToastCenter
+          toasts={notifications.toasts}
+          onDismiss={notifications.dismiss}
+          onRetry={notifications.runRetry}
+        />
+
+        <PrintReport report={printReport} onDone={() => setPrintReport(null)} />
+
+        <UndoBar items={undoable.pending} onUndo={undoable.undo} />
+
+        <SummaryJobsPanel
+          jobs={summaryJobs.jobList}
+          onRetry={(id) => {
+            summaryJobs.dismiss(id)
+            generateSummary(id)
+          }}
+          onDismiss={summaryJobs.dismiss}
+          onClearFinished={summaryJobs.clearFinished}
+        />
+      </div>
+    </I18nContext.Provider>
   )
 }
@@ -0,0 +1,131 @@
+import { useState } from 'react'
+import useI18n from '../hooks/useI18n.js'
+import { prettyBody, statusGroup, toCurl } from '../lib/apiLog.js'
+
+const STATUS_FILTERS = [
+  { id: '', label: 'All statuses' },
+  { id: '2xx', label: '2xx' },
+  { id: '4xx', label: '4xx' },
+  { id: '5xx', label: '5xx' },
+  { id: 'error', label: 'Network error' },
+]
+
+function HeaderList({ headers }) {
+  const { t } = useI18n()
+  const rows = Object.entries(headers || {})
+  if (rows.length === 0) return <div className="muted">{t('No headers.')}</div>
+  return (
+    <dl className="header-list">
+      {rows.map(([key, value]) => (
+        <div key={key}>
+          <dt>{key}</dt>
+          <dd>{value}</dd>
+        </div>
+      ))}
+    </dl>
+  )
+}
+
+export default function ApiInspector({ entries, onReplay, onClear, onCopyFailed }) {
+  const { t, formatTime } = useI18n()
+  const [statusFilter, setStatusFilter] = useState('')
+  const [endpointFilter, setEndpointFilter] = useState('')
+  const [expandedId, setExpandedId] = useState(null)
+  const [copiedId, setCopiedId] = useState(null)
+
+  const visible = entries.filter((entry) => {
+    if (statusFilter && statusGroup(entry) !== statusFilter) return false
+    if (endpointFilter && !entry.path.toLowerCase().includes(endpointFilter.toLowerCase())) return false
+    return true
+  })
+
+  async function copyCurl(entry) {
+    const command = toCurl(entry)
+    try {
+      await navigator.clipboard.writeText(command)
+    } catch {
+      onCopyFailed(command)
+      return
+    }
+    setCopiedId(entry.id)
+    setTimeout(() => setCopiedId((prev) => (prev === entry.id ? null : prev)), 1500)
+  }
+
+  return (
+    <section className="card">
+      <div className="section-head">
+        <h2>{t('API Inspector')}</h2>
+        <button type="button" className="secondary" onClick={onClear} disabled={entries.length === 0}>
+          {t('Clear Log')}
+        </button>
+      </div>
+
+      <div className="filters">
+        <div className="filter-grid">
+          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+            {STATUS_FILTERS.map((item) => (
+              <option key={item.id} value={item.id}>{t(item.label)}</option>
+            ))}
+          </select>
+          <input
+            value={endpointFilter}
+            onChange={(e) => setEndpointFilter(e.target.value)}
+            placeholder={t('Endpoint contains')}
+          />
+        </div>
+      </div>
+
+      {visible.length === 0 ? (
+        <div className="empty">{t('No requests recorded yet.')}</div>
+      ) : (
+        <ul className="log-list">
+          {visible.map((entry) => (
+            <li key={entry.id} className={`log-entry log-${statusGroup(entry)}`}>
+              <button
+                type="button"
+                className="log-summary"
+                onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)}
+              >
+                <span className="log-method">{entry.method}</span>
+                <span className="log-path">{entry.path}</span>
+                <span className="log-status">{entry.status || t('ERR')}</span>
+                <span className="muted">{t('{ms} ms', { ms: entry.duration })}</span>
+              </button>
+
+              {expandedId === entry.id && (
+                <div className="log-details">
+                  <div className="muted">
+                    {formatTime(entry.startedAt)} · {entry.url}
+                  </div>
+                  {entry.error && <div className="form-error">{entry.error}</div>}
+                  <div className="log-columns">
+                    <div>
+                      <strong>{t('Request headers')}</strong>
+                      <HeaderList headers={entry.requestHeaders} />
+                      <strong>{t('Request body')}</strong>
+                      <pre>{prettyBody(entry.requestBody) || '-'}</pre>
+                    </div>
+                    <div>
+                      <strong>{t('Response headers')}</strong>
+                      <HeaderList headers={entry.responseHeaders} />
+                      <strong>{t('Response body')}</strong>
+                      <pre>{prettyBody(entry.responseBody) || '-'}</pre>
+                    </div>
+                  </div>
+                  <div className="card-actions">
+                    <button type="button" className="link" onClick={() => copyCurl(entry)}>
+                      {copiedId === entry.id ? t('Copied') : t('Copy as curl')}
+                    </button>
+                    <button type="button" className="link" onClick={() => onReplay(entry)}>
+                      {t('Replay')}
+                    </button>
+                  </div>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  )
+}
@@ -0,0 +1,72 @@
+import useI18n from '../hooks/useI18n.js'
+
+const WIDTH = 640
+const HEIGHT = 200
+const PADDING = { top: 12, right: 8, bottom: 28, left: 32 }
+
+function niceMax(value) {
+  if (value <= 4) return 4
+  const magnitude = 10 ** Math.floor(Math.log10(value))
+  const step = [1, 2, 5, 10].find((factor) => factor * magnitude >= value / 4) * magnitude
+  return Math.ceil(value / step) * step
+}
+
+export default function BarChart({ data, title, onSelect, describe = (bar) => `${bar.label}: ${bar.value}` }) {
+  const { formatNumber } = useI18n()
+  const max = niceMax(Math.max(0, ...data.map((bar) => bar.value)))
+  const plotWidth = WIDTH - PADDING.left - PADDING.right
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom
+  const slot = plotWidth / Math.max(1, data.length)
+  const barWidth = Math.max(2, slot * 0.7)
+  const labelEvery = Math.ceil(data.length / 12)
+  const ticks = [0, max / 2, max]
+
+  return (
+    <svg className="chart" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role={onSelect ? 'group' : 'img'} aria-label={title}>
+      {ticks.map((tick) => {
+        const y = PADDING.top + plotHeight - (tick / max) * plotHeight
+        return (
+          <g key={tick}>
+            <line className="chart-gridline" x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y} y2={y} />
+            <text className="chart-axis" x={PADDING.left - 6} y={y + 4} textAnchor="end">
+              {formatNumber(tick)}
+            </text>
+          </g>
+        )
+      })}
+      {data.map((bar, index) => {
+        const height = (bar.value / max) * plotHeight
+        const x = PADDING.left + index * slot + (slot - barWidth) / 2
+        return (
+          <g key={bar.key}>
+            <rect
+              className={`chart-bar ${onSelect ? 'clickable' : ''}`}
+              x={x}
+              y={PADDING.top + plotHeight - height}
+              width={barWidth}
+              height={Math.max(height, bar.value > 0 ? 1 : 0)}
+              onClick={onSelect ? () => onSelect(bar) : undefined}
+              {...(onSelect && {
+                role: 'button',
+                tabIndex: 0,
+                'aria-label': describe(bar),
+                onKeyDown: (e) => {
+                  if (e.key !== 'Enter' && e.key !== ' ') return
+                  e.preventDefault()
+                  onSelect(bar)
+                },
+              })}
+            >
+              <title>{describe(bar)}</title>
+            </rect>
+            {index % labelEvery === 0 && (
+              <text className="chart-axis" x={x + barWidth / 2} y={HEIGHT - 10} textAnchor="middle">
+                {bar.label}
+              </text>
+            )}
+          </g>
+        )
+      })}
+    </svg>
+  )
+}
@@ -0,0 +1,141 @@
+import { useEffect, useId, useRef, useState } from 'react'
+import Modal from './Modal.jsx'
+import useI18n from '../hooks/useI18n.js'
+
+const DEBOUNCE_MS = 250
+const PATIENT_LIMIT = 5
+
+function matches(command, text) {
+  const needle = text.trim().toLowerCase()
+  if (!needle) return true
+  return [command.label, ...(command.keywords || [])].some((value) => value.toLowerCase().includes(needle))
+}
+
+export default function CommandPalette({
+  commands,
+  searchPatients,
+  onOpenPatient,
+  onOpenConsultation,
+  onGenerateSummary,
+  onClose,
+}) {
+  const { t, formatDate } = useI18n()
+  const listId = useId()
+  const [query, setQuery] = useState('')
+  const [patients, setPatients] = useState([])
+  const [searching, setSearching] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(0)
+  const controllerRef = useRef(null)
+
+  const text = query.trim()
+  const consultationId = text.match(/^#?(\d+)$/)?.[1]
+
+  useEffect(() => {
+    controllerRef.current?.abort()
+    setPatients([])
+    if (!searchPatients || text.length < 2 || consultationId) {
+      setSearching(false)
+      return undefined
+    }
+    const controller = new AbortController()
+    controllerRef.current = controller
+    setSearching(true)
+    const timer = setTimeout(async () => {
+      try {
+        const { ok, items } = await searchPatients(text, 1, controller.signal)
+        if (!controller.signal.aborted && ok) setPatients(items.slice(0, PATIENT_LIMIT))
+      } catch (error) {
+        if (error.name !== 'AbortError') setPatients([])
+      } finally {
+        if (controllerRef.current === controller) setSearching(false)
+      }
+    }, DEBOUNCE_MS)
+    return () => clearTimeout(timer)
+  }, [text])
+
+  useEffect(() => () => controllerRef.current?.abort(), [])
+
+  useEffect(() => {
+    setActiveIndex(0)
+  }, [text, patients])
+
+  const options = [
+    ...(consultationId
+      ? [
+        {
+          id: 'open-consultation',
+          label: t('Open consultation {id}', { id: consultationId }),
+          run: () => onOpenConsultation(consultationId),
+        },
+        {
+          id: 'generate-summary',
+          label: t('Generate summary for consultation {id}', { id: consultationId }),
+          run: () => onGenerateSummary(consultationId),
+        },
+      ]
+      : []),
+    ...commands.filter((command) => matches(command, text)),
+    ...patients.map((patient) => ({
+      id: `patient-${patient.id}`,
+      label: t('Open patient {name}', { name: patient.full_name }),
+      detail: `${t('DOB: {date}', { date: formatDate(patient.date_of_birth) })} · ${t('ID: {id}', { id: patient.id })}`,
+      run: () => onOpenPatient(patient),
+    })),
+  ]
+
+  function run(option) {
+    onClose()
+    option.run()
+  }
+
+  function handleKeyDown(e) {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setActiveIndex((prev) => (options.length ? (prev + 1) % options.length : 0))
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActiveIndex((prev) => (options.length ? (prev - 1 + options.length) % options.length : 0))
+    } else if (e.key === 'Enter') {
+      e.preventDefault()
+      if (options[activeIndex]) run(options[activeIndex])
+    }
+  }
+
+  return (
+    <Modal title={t('Command palette')} className="modal-wide" onClose={onClose}>
+      <div className="palette">
+        <input
+          role="combobox"
+          aria-label={t('Type a command, a patient name or a consultation ID')}
+          aria-expanded="true"
+          aria-controls={listId}
+          aria-autocomplete="list"
+          aria-activedescendant={options[activeIndex] ? `${listId}-${activeIndex}` : undefined}
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder={t('Type a command, a patient name or a consultation ID')}
+        />
+        <ul className="palette-list" id={listId} role="listbox" aria-label={t('Commands')} aria-busy={searching}>
+          {options.map((option, index) => (
+            <li
+              key={option.id}
+              id={`${listId}-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={`palette-option ${index === activeIndex ? 'active' : ''}`}
+              onMouseDown={(e) => e.preventDefault()}
+              onMouseEnter={() => setActiveIndex(index)}
+              onClick={() => run(option)}
+            >
+              <div>{option.label}</div>
+              {option.detail && <div className="muted">{option.detail}</div>}
+            </li>
+          ))}
+          {searching && <li className="picker-heading">{t('Searching...')}</li>}
+          {!searching && options.length === 0 && <li className="picker-heading">{t('No matching commands.')}</li>}
+        </ul>
+      </div>
+    </Modal>
+  )
+}
@@ -0,0 +1,19 @@
+import Modal from './Modal.jsx'
+import useI18n from '../hooks/useI18n.js'
+
+export default function ConfirmDialog({ title, message, confirmLabel, onConfirm, onCancel }) {
+  const { t } = useI18n()
+
+  return (
+    <Modal title={title} description={message} role="alertdialog" onClose={onCancel}>
+      <div className="modal-actions">
+        <button type="button" className="secondary" onClick={onCancel}>
+          {t('Cancel')}
+        </button>
+        <button type="button" className="danger" onClick={onConfirm}>
+          {confirmLabel || t('Confirm')}
+        </button>
+      </div>
+    </Modal>
+  )
+}
@@ -0,0 +1,156 @@
+import { useId, useState } from 'react'
+import FieldError from './FieldError.jsx'
+import SummaryReview from './SummaryReview.jsx'
+import useI18n from '../hooks/useI18n.js'
+import { fieldProps, handleCardKeyDown } from '../lib/a11y.js'
+import { withReview } from '../lib/summaryReview.js'
+
+function draftFrom(item) {
+  return {
+    symptoms: item.symptoms || '',
+    diagnosis: item.diagnosis || '',
+  }
+}
+
+export default function ConsultationCard({
+  item,
+  review,
+  patientName,
+  generating,
+  onOpen,
+  onOpenPatient,
+  onGenerateSummary,
+  onEditSummary,
+  onReviewSummary,
+  onSave,
+  onDelete,
+  onPrint,
+}) {
+  const { t, formatDateTime } = useI18n()
+  const formId = useId()
+  const [editing, setEditing] = useState(false)
+  const [draft, setDraft] = useState(() => draftFrom(item))
+  const [errors, setErrors] = useState({})
+
+  function startEditing() {
+    setDraft(draftFrom(item))
+    setErrors({})
+    setEditing(true)
+  }
+
+  function updateDraft(field, value) {
+    setDraft((prev) => ({ ...prev, [field]: value }))
+    setErrors(({ [field]: _, ...rest }) => rest)
+  }
+
+  async function save(e) {
+    e.preventDefault()
+    setEditing(false)
+    const result = await onSave(item.id, draft)
+    if (!result.ok) {
+      setErrors(result.errors)
+      setEditing(true)
+    }
+  }
+
+  const shown = withReview(item, review)
+  const urgent = Boolean(shown.ai_summary?.requires_urgent_care)
+
+  return (
+    <div
+      className={`consultation-card ${urgent ? 'urgent' : ''}`}
+      role="group"
+      tabIndex={0}
+      aria-label={[
+        t('Consultation {id}', { id: item.id }),
+        patientName,
+        urgent && t('Requires urgent care'),
+      ].filter(Boolean).join(t(', '))}
+      onKeyDown={(e) => handleCardKeyDown(e, () => onOpen(item))}
+    >
+      {urgent && <div className="urgent-banner">{t('Requires urgent care')}</div>}
+      <div className="consultation-head">
+        <div>
+          <button type="button" className="link consultation-id" onClick={() => onOpen(item)}>
+            {t('ID: {id}', { id: item.id })}
+          </button>
+          <div className="muted">
+            {t('Patient:')}{' '}
+            <button type="button" className="link" onClick={() => onOpenPatient(item.patient)}>
+              {patientName || `#${item.patient}`}
+            </button>
+          </div>
+        </div>
+        <button type="button" className="secondary" onClick={() => onGenerateSummary(item.id)}>
+          {generating ? t('Generating...') : item.ai_summary ? t('Regenerate Summary') : t('Generate Summary')}
+        </button>
+      </div>
+
+      {editing ? (
+        <form className="stack" onSubmit={save} noValidate>
+          <FieldError message={errors.non_field_errors} className="form-error" />
+          <label className="stack-label">
+            {t('Symptoms')}
+            <textarea
+              {...fieldProps(`${formId}-symptoms`, errors.symptoms)}
+              className={errors.symptoms ? 'invalid' : ''}
+              required
+              value={draft.symptoms}
+              onChange={(e) => updateDraft('symptoms', e.target.value)}
+              rows={3}
+            />
+          </label>
+          <FieldError fieldId={`${formId}-symptoms`} message={errors.symptoms} />
+          <label className="stack-label">
+            {t('Diagnosis')}
+            <textarea
+              {...fieldProps(`${formId}-diagnosis`, errors.diagnosis)}
+              className={errors.diagnosis ? 'invalid' : ''}
+              value={draft.diagnosis}
+              onChange={(e) => updateDraft('diagnosis', e.target.value)}
+              rows={3}
+            />
+          </label>
+          <FieldError fieldId={`${formId}-diagnosis`} message={errors.diagnosis} />
+          <div className="card-actions">
+            <button type="submit">{t('Save')}</button>
+            <button type="button" className="secondary" onClick={() => setEditing(false)}>
+              {t('Cancel')}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="consultation-body">
+          <div>
+            <strong>{t('Symptoms')}</strong>
+            <p>{item.symptoms || '-'}</p>
+          </div>
+          <div>
+            <strong>{t('Diagnosis')}</strong>
+            <p>{item.diagnosis || '-'}</p>
+          </div>
+        </div>
+      )}
+
+      <div className="consultation-meta">
+        {t('Created: {date}', { date: formatDateTime(item.created_at) })}
+      </div>
+
+      <SummaryReview item={shown} record={review} onEdit={onEditSummary} onReview={onReviewSummary} />
+
+      {!editing && (
+        <div className="card-actions">
+          <button type="button" className="link" onClick={startEditing}>
+            {t('Edit')}
+          </button>
+          <button type="button" className="link" onClick={() => onPrint(item)}>
+            {t('Print')}
+          </button>
+          <button type="button" className="link danger-link" onClick={() => onDelete(item)}>
+            {t('Delete')}
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,80 @@
+import FieldError from './FieldError.jsx'
+import SymptomChips from './SymptomChips.jsx'
+import VitalsFields from './VitalsFields.jsx'
+import useI18n from '../hooks/useI18n.js'
+import { errorId, fieldProps } from '../lib/a11y.js'
+import { CONSULTATION_TEMPLATES, findTemplate, serializeConsultation } from '../lib/consultationEntry.js'
+
+export default function ConsultationEntry({ idPrefix, entry, errors, suggestions, onChange, onTemplate }) {
+  const { t } = useI18n()
+  const template = findTemplate(entry.template)
+  const templateSymptoms = (template?.symptoms || []).filter((term) => !suggestions.includes(term))
+  const { symptoms, diagnosis } = serializeConsultation(entry)
+  const preview = [symptoms, diagnosis].filter(Boolean).join('\n\n')
+
+  function renderText(field, label, rows = 3, errorKey = field) {
+    const fieldId = `${idPrefix}-${field}`
+    const error = errors[errorKey]
+    return (
+      <>
+        <label className="stack-label">
+          {label}
+          <textarea
+            {...fieldProps(fieldId, error)}
+            className={error ? 'invalid' : ''}
+            value={entry[field]}
+            onChange={(e) => onChange(field, e.target.value)}
+            rows={rows}
+          />
+        </label>
+        <FieldError fieldId={fieldId} message={error} />
+      </>
+    )
+  }
+
+  return (
+    <>
+      <label className="stack-label">
+        {t('Template')}
+        <select value={entry.template} onChange={(e) => onTemplate(e.target.value)}>
+          <option value="">{t('No template')}</option>
+          {CONSULTATION_TEMPLATES.map((item) => (
+            <option key={item.id} value={item.id}>{t(item.label)}</option>
+          ))}
+        </select>
+      </label>
+      <label className="stack-label">
+        {t('Presenting complaint')}
+        <input
+          {...fieldProps(`${idPrefix}-complaint`, errors.symptoms)}
+          className={errors.symptoms ? 'invalid' : ''}
+          value={entry.complaint}
+          onChange={(e) => onChange('complaint', e.target.value)}
+        />
+      </label>
+      <div className="stack-label">
+        <label htmlFor={`${idPrefix}-symptoms`}>{t('Symptoms')}</label>
+        <SymptomChips
+          id={`${idPrefix}-symptoms`}
+          value={entry.symptom_tags}
+          suggestions={[...templateSymptoms, ...suggestions]}
+          invalid={Boolean(errors.symptoms)}
+          describedBy={errors.symptoms ? errorId(`${idPrefix}-complaint`) : undefined}
+          onChange={(value) => onChange('symptom_tags', value)}
+        />
+      </div>
+      <FieldError fieldId={`${idPrefix}-complaint`} message={errors.symptoms} />
+      {renderText('history', t('Medical history'), 4)}
+      {renderText('examination', t('Examination'))}
+      <VitalsFields idPrefix={idPrefix} values={entry} errors={errors} onChange={onChange} />
+      {renderText('assessment', t('Assessment and diagnosis'), 3, 'diagnosis')}
+      {renderText('plan', t('Plan'), 2)}
+      {preview && (
+        <details className="entry-preview">
+          <summary>{t('Preview of the saved text')}</summary>
+          <pre>{preview}</pre>
+        </details>
+      )}
+    </>
+  )
+}
@@ -0,0 +1,183 @@
+import { useState } from 'react'
+import BarChart from './BarChart.jsx'
+import RatioChart from './RatioChart.jsx'
+import useI18n from '../hooks/useI18n.js'
+import { ageDistribution, bucketByDate, inRange, presetRange } from '../lib/dashboardStats.js'
+
+const PRESETS = [
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 365, label: '1 year' },
+]
+
+export default function Dashboard({
+  range,
+  loading,
+  loadedAt,
+  consultations,
+  patients,
+  onRangeChange,
+  onRefresh,
+  onSelectPeriod,
+  onSelectAgeGroup,
+}) {
+  const { t, formatDate, formatShortDate, formatTime, formatNumber } = useI18n()
+  const [draft, setDraft] = useState(range)
+
+  function withDateLabels(buckets) {
+    return buckets.map((bar) => ({
+      ...bar,
+      label: range.interval === 'week'
+        ? t('Wk {date}', { date: formatShortDate(bar.from) })
+        : formatShortDate(bar.from),
+    }))
+  }
+
+  function describePeriod(bar) {
+    return bar.from === bar.to ? formatDate(bar.from) : t('{from} to {to}', { from: formatDate(bar.from), to: formatDate(bar.to) })
+  }
+
+  const periods = withDateLabels(bucketByDate(consultations, 'created_at', range))
+  const tracksCreation = patients.some((patient) => patient.created_at)
+  const newPatients = tracksCreation ? patients.filter((patient) => inRange(patient.created_at, range)) : []
+  const patientsSeen = new Set(consultations.map((item) => String(item.patient))).size
+  const summarised = consultations.filter((item) => item.ai_summary)
+  const urgent = summarised.filter((item) => item.ai_summary.requires_urgent_care)
+  const ages = ageDistribution(patients).map((bar) => ({ ...bar, label: t('{range} years', { range: bar.label }) }))
+  const weekly = range.interval === 'week'
+
+  function submit(e) {
+    e.preventDefault()
+    onRangeChange(draft)
+  }
+
+  return (
+    <section className="card">
+      <div className="section-head">
+        <div>
+          <h2>{t('Dashboard')}</h2>
+          <div className="muted">
+            {t('{from} to {to}', { from: formatDate(range.from), to: formatDate(range.to) })}
+            {loadedAt && ` · ${t('Updated {time}', { time: formatTime(loadedAt) })}`}
+          </div>
+        </div>
+        <div className="section-actions">
+          <button type="button" className="secondary" onClick={onRefresh} disabled={loading}>
+            {loading ? t('Loading...') : t('Refresh')}
+          </button>
+        </div>
+      </div>
+
+      <form className="filters" onSubmit={submit}>
+        <div className="filter-grid">
+          <label className="stack-label">
+            {t('From')}
+            <input type="date" value={draft.from} max={draft.to} onChange={(e) => setDraft({ ...draft, from: e.target.value })} />
+          </label>
+          <label className="stack-label">
+            {t('To')}
+            <input type="date" value={draft.to} min={draft.from} onChange={(e) => setDraft({ ...draft, to: e.target.value })} />
+          </label>
+          <label className="stack-label">
+            {t('Group by')}
+            <select value={draft.interval} onChange={(e) => setDraft({ ...draft, interval: e.target.value })}>
+              <option value="day">{t('Day')}</option>
+              <option value="week">{t('Week')}</option>
+            </select>
+          </label>
+        </div>
+        <div className="card-actions">
+          <button type="submit">{t('Apply')}</button>
+          {PRESETS.map((preset) => (
+            <button
+              key={preset.days}
+              type="button"
+              className="secondary"
+              onClick={() => onRangeChange(presetRange(preset.days))}
+            >
+              {t(preset.label)}
+            </button>
+          ))}
+        </div>
+      </form>
+
+      <div className="stat-grid">
+        <div className="stat">
+          <div className="stat-value">{formatNumber(consultations.length)}</div>
+          <div className="muted">{t('Consultations')}</div>
+        </div>
+        <div className="stat">
+          <div className="stat-value">{formatNumber(tracksCreation ? newPatients.length : patientsSeen)}</div>
+          <div className="muted">{tracksCreation ? t('New patients') : t('Patients seen')}</div>
+        </div>
+        <div className="stat">
+          <div className="stat-value">{formatNumber(summarised.length)}</div>
+          <div className="muted">{t('With AI summary')}</div>
+        </div>
+        <div className="stat">
+          <div className="stat-value">{formatNumber(urgent.length)}</div>
+          <div className="muted">{t('Urgent care')}</div>
+        </div>
+      </div>
+
+      {loading && consultations.length === 0 ? (
+        <div className="empty" role="status">{t('Loading dashboard...')}</div>
+      ) : (
+        <div className="chart-grid">
+          <div className="chart-card wide">
+            <h3>{weekly ? t('Consultations per week') : t('Consultations per day')}</h3>
+            <BarChart
+              data={periods}
+              title={weekly ? t('Consultations per week') : t('Consultations per day')}
+              onSelect={onSelectPeriod}
+              describe={(bar) => t('{period}: {count} consultations. Click to open.', {
+                period: describePeriod(bar),
+                count: bar.value,
+              })}
+            />
+          </div>
+
+          {tracksCreation && (
+            <div className="chart-card wide">
+              <h3>{weekly ? t('New patients per week') : t('New patients per day')}</h3>
+              <BarChart
+                data={withDateLabels(bucketByDate(patients, 'created_at', range))}
+                title={weekly ? t('New patients per week') : t('New patients per day')}
+                describe={(bar) => t('{period}: {count} new patients', { period: describePeriod(bar), count: bar.value })}
+              />
+            </div>
+          )}
+
+          <div className="chart-card">
+            <h3>{t('Patient ages')}</h3>
+            <BarChart
+              data={ages}
+              title={t('Patient age distribution')}
+              onSelect={onSelectAgeGroup}
+              describe={(bar) => t('{period}: {count} patients. Click to open.', { period: bar.label, count: bar.value })}
+            />
+          </div>
+
+          <div className="chart-card ratios">
+            <RatioChart
+              title={t('AI summary coverage')}
+              part={summarised.length}
+              total={consultations.length}
+              partLabel={t('summarised')}
+              restLabel={t('pending')}
+            />
+            <RatioChart
+              title={t('Urgent-care ratio')}
+              part={urgent.length}
+              total={summarised.length}
+              partLabel={t('urgent')}
+              restLabel={t('routine')}
+              tone="danger"
+            />
+          </div>
+        </div>
+      )}
+    </section>
+  )
+}
@@ -0,0 +1,42 @@
+import useI18n from '../hooks/useI18n.js'
+
+export default function DuplicatePatients({ matches, failed, creating, onOpen, onConfirm, onCancel }) {
+  const { t, formatDate } = useI18n()
+
+  return (
+    <div className="duplicates" role="alert">
+      <strong>
+        {failed
+          ? t('Could not check for existing records of this patient.')
+          : t('This patient may already be registered ({count} possible matches).', { count: matches.length })}
+      </strong>
+      {matches.length > 0 && (
+        <ul className="duplicate-list">
+          {matches.map(({ patient, reasons }) => (
+            <li key={patient.id}>
+              <div>
+                <div>{patient.full_name}</div>
+                <div className="muted">
+                  {patient.email} · {t('DOB: {date}', { date: formatDate(patient.date_of_birth) })}
+                  {' · '}{t('ID: {id}', { id: patient.id })}
+                </div>
+                <div className="duplicate-reasons">{reasons.map((reason) => t(reason)).join(' · ')}</div>
+              </div>
+              <button type="button" className="secondary" onClick={() => onOpen(patient)}>
+                {t('Open')}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="card-actions">
+        <button type="button" onClick={onConfirm} disabled={creating}>
+          {creating ? t('Creating...') : t('This is a new patient')}
+        </button>
+        <button type="button" className="secondary" onClick={onCancel}>
+          {t('Cancel')}
+        </button>
+      </div>
+    </div>
+  )
+}
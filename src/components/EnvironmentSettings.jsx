@@ -0,0 +1,173 @@
+import { useState } from 'react'
+import FieldError from './FieldError.jsx'
+import useI18n from '../hooks/useI18n.js'
+import { fieldProps } from '../lib/a11y.js'
+import { isValidBaseUrl, normalizeBaseUrl } from '../lib/environments.js'
+
+const HEALTH_LABELS = {
+  checking: 'Checking...',
+  ok: 'Reachable',
+  down: 'Unreachable',
+}
+
+function validateEnvironment(form, environments, editingId) {
+  const errors = {}
+  const baseUrl = normalizeBaseUrl(form.baseUrl)
+  if (!form.name.trim()) errors.name = 'Name is required.'
+  if (!baseUrl) {
+    errors.baseUrl = 'Base URL is required.'
+  } else if (!isValidBaseUrl(baseUrl)) {
+    errors.baseUrl = 'Enter an http(s) URL, e.g. https://staging.example.com'
+  } else if (environments.some((env) => env.id !== editingId && env.baseUrl === baseUrl)) {
+    errors.baseUrl = 'This backend is already configured.'
+  }
+  return errors
+}
+
+export default function EnvironmentSettings({
+  environments,
+  activeId,
+  health,
+  onSwitch,
+  onSave,
+  onRemove,
+  onCheck,
+}) {
+  const { t } = useI18n()
+  const [form, setForm] = useState({ name: '', baseUrl: '', idempotencyKeys: false })
+  const [editingId, setEditingId] = useState(null)
+  const [errors, setErrors] = useState({})
+
+  function updateForm(field, value) {
+    setForm((prev) => ({ ...prev, [field]: value }))
+    setErrors(({ [field]: _, ...rest }) => rest)
+  }
+
+  function startEditing(env) {
+    setEditingId(env.id)
+    setForm({ name: env.name, baseUrl: env.baseUrl, idempotencyKeys: Boolean(env.idempotencyKeys) })
+    setErrors({})
+  }
+
+  function reset() {
+    setEditingId(null)
+    setForm({ name: '', baseUrl: '', idempotencyKeys: false })
+    setErrors({})
+  }
+
+  function submit(e) {
+    e.preventDefault()
+    const nextErrors = validateEnvironment(form, environments, editingId)
+    setErrors(nextErrors)
+    if (Object.keys(nextErrors).length > 0) return
+    onSave({
+      id: editingId,
+      name: form.name.trim(),
+      baseUrl: normalizeBaseUrl(form.baseUrl),
+      idempotencyKeys: form.idempotencyKeys,
+    })
+    reset()
+  }
+
+  return (
+    <section className="card">
+      <div className="section-head">
+        <h2>{t('Backend Environments')}</h2>
+        <button type="button" className="secondary" onClick={onCheck}>
+          {t('Check Connection')}
+        </button>
+      </div>
+
+      <ul className="env-list">
+        {environments.map((env) => (
+          <li key={env.id} className={`env-item ${env.id === activeId ? 'active' : ''}`}>
+            <div>
+              <div className="patient-name">
+                {env.builtIn ? t(env.name) : env.name}
+                {env.builtIn && (
+                  <span className="muted"> ({env.mock ? t('in-browser') : t('build default')})</span>
+                )}
+              </div>
+              <div className="muted">{env.baseUrl}</div>
+              {env.id === activeId && (
+                <div className={`env-health env-health-${health.status}`}>
+                  {t(HEALTH_LABELS[health.status] || 'Not checked')}
+                  {health.latency != null && health.status !== 'checking' && ` · ${t('{ms} ms', { ms: health.latency })}`}
+                  {health.error && ` · ${t(health.error)}`}
+                </div>
+              )}
+            </div>
+            <div className="card-actions">
+              {env.id === activeId ? (
+                <span className="job-badge job-badge-done">{t('Active')}</span>
+              ) : (
+                <button type="button" className="link" onClick={() => onSwitch(env.id)}>
+                  {t('Use')}
+                </button>
+              )}
+              {!env.builtIn && (
+                <>
+                  <button type="button" className="link" onClick={() => startEditing(env)}>
+                    {t('Edit')}
+                  </button>
+                  {env.id !== activeId && (
+                    <button type="button" className="link danger-link" onClick={() => onRemove(env.id)}>
+                      {t('Remove')}
+                    </button>
+                  )}
+                </>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      <div className="divider" />
+
+      <h3>{editingId ? t('Edit Environment') : t('Add Environment')}</h3>
+      <form onSubmit={submit} className="stack" noValidate>
+        <label className="stack-label">
+          {t('Name')}
+          <input
+            {...fieldProps('environment-name', errors.name)}
+            className={errors.name ? 'invalid' : ''}
+            required
+            value={form.name}
+            onChange={(e) => updateForm('name', e.target.value)}
+            placeholder={t('e.g. Staging')}
+          />
+        </label>
+        <FieldError fieldId="environment-name" message={errors.name} />
+        <label className="stack-label">
+          {t('Base URL')}
+          <input
+            {...fieldProps('environment-base-url', errors.baseUrl)}
+            type="url"
+            className={errors.baseUrl ? 'invalid' : ''}
+            required
+            value={form.baseUrl}
+            onChange={(e) => updateForm('baseUrl', e.target.value)}
+            placeholder={t('e.g. {url}', { url: 'https://staging.example.com' })}
+          />
+        </label>
+        <FieldError fieldId="environment-base-url" message={errors.baseUrl} />
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={form.idempotencyKeys}
+            onChange={(e) => updateForm('idempotencyKeys', e.target.checked)}
+          />
+          {t('Backend accepts the Idempotency-Key header')}
+        </label>
+        <div className="card-actions">
+          <button type="submit">{editingId ? t('Save Environment') : t('Add Environment')}</button>
+          {editingId && (
+            <button type="button" className="secondary" onClick={reset}>
+              {t('Cancel')}
+            </button>
+          )}
+        </div>
+      </form>
+    </section>
+  )
+}
@@ -0,0 +1,16 @@
+import useI18n from '../hooks/useI18n.js'
+import { errorId } from '../lib/a11y.js'
+
+export default function FieldError({ message, fieldId, className = 'field-error' }) {
+  const { t } = useI18n()
+  if (!message) return null
+  return (
+    <div
+      id={fieldId ? errorId(fieldId) : undefined}
+      className={className}
+      role={className === 'form-error' ? 'alert' : undefined}
+    >
+      {t(message)}
+    </div>
+  )
+}
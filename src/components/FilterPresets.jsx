@@ -0,0 +1,59 @@
+import { useState } from 'react'
+import useI18n from '../hooks/useI18n.js'
+
+export default function FilterPresets({ presets, onApply, onSave, onDelete, onShare }) {
+  const { t } = useI18n()
+  const [selectedId, setSelectedId] = useState('')
+  const [name, setName] = useState('')
+  const selected = presets.find((preset) => preset.id === selectedId)
+
+  function select(id) {
+    setSelectedId(id)
+    const preset = presets.find((entry) => entry.id === id)
+    if (preset) onApply(preset)
+  }
+
+  function save(e) {
+    e.preventDefault()
+    if (!name.trim()) return
+    setSelectedId(onSave(name).id)
+    setName('')
+  }
+
+  return (
+    <form className="presets" onSubmit={save}>
+      <select aria-label={t('Saved presets')} value={selected ? selectedId : ''} onChange={(e) => select(e.target.value)}>
+        <option value="">{presets.length ? t('Saved presets...') : t('No saved presets')}</option>
+        {presets.map((preset) => (
+          <option key={preset.id} value={preset.id}>{preset.name}</option>
+        ))}
+      </select>
+      {selected && (
+        <>
+          <button type="button" className="link" onClick={() => onShare(selected)}>
+            {t('Copy link')}
+          </button>
+          <button
+            type="button"
+            className="link danger-link"
+            onClick={() => {
+              onDelete(selected)
+              setSelectedId('')
+            }}
+          >
+            {t('Delete')}
+          </button>
+        </>
+      )}
+      <input
+        aria-label={t('Preset name')}
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder={t('Preset name')}
+      />
+      <button type="submit" className="secondary" disabled={!name.trim()}>
+        {t('Save current filters')}
+      </button>
+    </form>
+  )
+}
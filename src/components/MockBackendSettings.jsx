@@ -0,0 +1,100 @@
+import { useState } from 'react'
+import useI18n from '../hooks/useI18n.js'
+import { MOCK_CREDENTIALS, MOCK_ERRORS, loadMockSettings, saveMockSettings } from '../lib/mockBackend.js'
+
+export default function MockBackendSettings({ onSave, onReset }) {
+  const { t } = useI18n()
+  const [form, setForm] = useState(() => {
+    const settings = loadMockSettings()
+    return { ...settings, summaryFailureRate: Math.round(settings.summaryFailureRate * 100) }
+  })
+
+  function update(field, value) {
+    setForm((prev) => ({ ...prev, [field]: value }))
+  }
+
+  function submit(e) {
+    e.preventDefault()
+    const settings = {
+      latencyMs: Math.max(0, Number.parseInt(form.latencyMs, 10) || 0),
+      summaryDelayMs: Math.max(0, Number.parseInt(form.summaryDelayMs, 10) || 0),
+      summaryFailureRate: Math.min(100, Math.max(0, Number.parseInt(form.summaryFailureRate, 10) || 0)) / 100,
+      error: form.error,
+      errorMode: form.errorMode,
+      errorPath: form.errorPath.trim(),
+    }
+    saveMockSettings(settings)
+    setForm({ ...settings, summaryFailureRate: Math.round(settings.summaryFailureRate * 100) })
+    onSave()
+  }
+
+  return (
+    <section className="card">
+      <h2>{t('Mock Backend')}</h2>
+      <div className="note">
+        {t('Requests are answered in the browser from seeded sample data stored in localStorage.')}{' '}
+        {t('Log in as {username} / {password}.', MOCK_CREDENTIALS)}
+      </div>
+      <form onSubmit={submit} className="stack">
+        <label className="stack-label">
+          {t('Response latency (ms)')}
+          <input type="number" min="0" step="50" value={form.latencyMs} onChange={(e) => update('latencyMs', e.target.value)} />
+        </label>
+        <label className="stack-label">
+          {t('Summary generation time (ms)')}
+          <input
+            type="number"
+            min="0"
+            step="500"
+            value={form.summaryDelayMs}
+            onChange={(e) => update('summaryDelayMs', e.target.value)}
+          />
+        </label>
+        <label className="stack-label">
+          {t('Summary failure rate (%)')}
+          <input
+            type="number"
+            min="0"
+            max="100"
+            step="5"
+            value={form.summaryFailureRate}
+            onChange={(e) => update('summaryFailureRate', e.target.value)}
+          />
+        </label>
+        <label className="stack-label">
+          {t('Inject error')}
+          <select value={form.error} onChange={(e) => update('error', e.target.value)}>
+            {MOCK_ERRORS.map((option) => (
+              <option key={option.id} value={option.id}>{t(option.label)}</option>
+            ))}
+          </select>
+        </label>
+        {form.error && (
+          <>
+            <label className="stack-label">
+              {t('Apply to')}
+              <select value={form.errorMode} onChange={(e) => update('errorMode', e.target.value)}>
+                <option value="once">{t('The next matching request')}</option>
+                <option value="always">{t('Every matching request')}</option>
+              </select>
+            </label>
+            <label className="stack-label">
+              {t('Only paths containing (optional)')}
+              <input
+                value={form.errorPath}
+                onChange={(e) => update('errorPath', e.target.value)}
+                placeholder={t('e.g. {url}', { url: '/consultations/' })}
+              />
+            </label>
+          </>
+        )}
+        <div className="card-actions">
+          <button type="submit">{t('Save')}</button>
+          <button type="button" className="secondary" onClick={onReset}>
+            {t('Reset Sample Data')}
+          </button>
+        </div>
+      </form>
+    </section>
+  )
+}
@@ -0,0 +1,28 @@
+import { useId, useRef } from 'react'
+import useDialogFocus from '../hooks/useDialogFocus.js'
+
+export default function Modal({ title, description, role = 'dialog', className = '', onClose, children }) {
+  const titleId = useId()
+  const descriptionId = useId()
+  const dialogRef = useRef(null)
+  useDialogFocus(dialogRef, { onEscape: onClose })
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div
+        ref={dialogRef}
+        className={`modal ${className}`}
+        role={role}
+        aria-modal="true"
+        aria-labelledby={titleId}
+        aria-describedby={description ? descriptionId : undefined}
+        tabIndex={-1}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 id={titleId}>{title}</h3>
+        {description && <p id={descriptionId}>{description}</p>}
+        {children}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,37 @@
+import { useRef } from 'react'
+import useDialogFocus from '../hooks/useDialogFocus.js'
+import useI18n from '../hooks/useI18n.js'
+
+export default function NotificationHistory({ items, onClose, onClear }) {
+  const { t, formatTime } = useI18n()
+  const drawerRef = useRef(null)
+  useDialogFocus(drawerRef, { onEscape: onClose, trap: false })
+
+  return (
+    <aside ref={drawerRef} className="drawer" aria-label={t('Notification history')} tabIndex={-1}>
+      <div className="section-head">
+        <h3>{t('Notifications')}</h3>
+        <div className="section-actions">
+          <button type="button" className="link" onClick={onClear} disabled={items.length === 0}>
+            {t('Clear')}
+          </button>
+          <button type="button" className="secondary" onClick={onClose}>
+            {t('Close')}
+          </button>
+        </div>
+      </div>
+      {items.length === 0 ? (
+        <div className="empty">{t('Nothing has happened yet in this session.')}</div>
+      ) : (
+        <ol className="notification-list">
+          {items.map((item) => (
+            <li key={item.id} className={`notification ${item.level}`}>
+              <div className="muted">{formatTime(item.createdAt)}</div>
+              <div>{item.message}</div>
+            </li>
+          ))}
+        </ol>
+      )}
+    </aside>
+  )
+}
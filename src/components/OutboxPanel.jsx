@@ -0,0 +1,72 @@
+import useI18n from '../hooks/useI18n.js'
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  synced: 'Synced',
+  failed: 'Failed',
+}
+
+const BADGE_CLASSES = {
+  pending: 'job-badge-processing',
+  synced: 'job-badge-done',
+  failed: 'job-badge-failed',
+}
+
+export default function OutboxPanel({ items, online, onSync, onRetry, onDiscard, onClearSynced }) {
+  const { t, formatDateTime } = useI18n()
+  if (items.length === 0) return null
+
+  const pending = items.filter((item) => item.status === 'pending').length
+
+  return (
+    <div className="outbox">
+      <div className="section-head">
+        <div>
+          <h3>{t('Outbox')}</h3>
+          <div className="muted" aria-live="polite">
+            {online ? t('Online') : t('Offline')} · {t('{count} waiting to sync', { count: pending })}
+          </div>
+        </div>
+        <div className="section-actions">
+          <button type="button" className="secondary" onClick={onSync} disabled={!online || pending === 0}>
+            {t('Sync now')}
+          </button>
+          {items.some((item) => item.status === 'synced') && (
+            <button type="button" className="secondary" onClick={onClearSynced}>
+              {t('Clear synced')}
+            </button>
+          )}
+        </div>
+      </div>
+      <ul className="jobs-list">
+        {items.map((item) => (
+          <li key={item.key} className="job">
+            <div>
+              <div className="job-title">
+                {t('Patient #{id}', { id: item.payload.patient })} · {formatDateTime(item.createdAt)}
+              </div>
+              <div className="muted">{item.payload.symptoms.slice(0, 80) || '-'}</div>
+              {item.status === 'synced' && item.resultId != null && (
+                <div className="muted">{t('Created consultation {id}', { id: item.resultId })}</div>
+              )}
+              {item.error && <div className="field-error">{t(item.error)}</div>}
+            </div>
+            <div className="job-actions">
+              <span className={`job-badge ${BADGE_CLASSES[item.status]}`}>{t(STATUS_LABELS[item.status])}</span>
+              {item.status === 'failed' && (
+                <button type="button" className="link" onClick={() => onRetry(item.key)}>
+                  {t('Retry')}
+                </button>
+              )}
+              {item.status !== 'synced' && (
+                <button type="button" className="link danger-link" onClick={() => onDiscard(item.key)}>
+                  {t('Discard')}
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
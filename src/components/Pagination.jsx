@@ -0,0 +1,31 @@
+import useI18n from '../hooks/useI18n.js'
+
+export default function Pagination({ label, page, pages, count, hasPrevious, hasNext, onChange }) {
+  const { t } = useI18n()
+
+  return (
+    <nav className="pagination" aria-label={label}>
+      <button
+        type="button"
+        className="secondary"
+        aria-label={t('Previous page')}
+        aria-disabled={!hasPrevious}
+        onClick={() => hasPrevious && onChange(Math.max(1, page - 1))}
+      >
+        {t('Previous')}
+      </button>
+      <div className="pagination-info" aria-live="polite">
+        {t('Page {page} of {pages} · Total {count}', { page, pages, count })}
+      </div>
+      <button
+        type="button"
+        className="secondary"
+        aria-label={t('Next page')}
+        aria-disabled={!hasNext}
+        onClick={() => hasNext && onChange(page + 1)}
+      >
+        {t('Next')}
+      </button>
+    </nav>
+  )
+}
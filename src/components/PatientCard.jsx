@@ -0,0 +1,123 @@
+import { useId, useState } from 'react'
+import FieldError from './FieldError.jsx'
+import useI18n from '../hooks/useI18n.js'
+import { fieldProps, handleCardKeyDown } from '../lib/a11y.js'
+import { todayISO } from '../lib/validation.js'
+
+function draftFrom(patient) {
+  return {
+    full_name: patient.full_name || '',
+    date_of_birth: patient.date_of_birth || '',
+    email: patient.email || '',
+  }
+}
+
+export default function PatientCard({ patient, onOpen, onSave, onDelete }) {
+  const { t, formatDate, formatAge } = useI18n()
+  const formId = useId()
+  const [editing, setEditing] = useState(false)
+  const [draft, setDraft] = useState(() => draftFrom(patient))
+  const [errors, setErrors] = useState({})
+
+  function startEditing() {
+    setDraft(draftFrom(patient))
+    setErrors({})
+    setEditing(true)
+  }
+
+  function updateDraft(field, value) {
+    setDraft((prev) => ({ ...prev, [field]: value }))
+    setErrors(({ [field]: _, ...rest }) => rest)
+  }
+
+  async function save(e) {
+    e.preventDefault()
+    setEditing(false)
+    const result = await onSave(patient.id, draft)
+    if (!result.ok) {
+      setErrors(result.errors)
+      setEditing(true)
+    }
+  }
+
+  if (editing) {
+    return (
+      <form className="patient-card" onSubmit={save} noValidate aria-label={t('Edit {name}', { name: patient.full_name })}>
+        <FieldError message={errors.non_field_errors} className="form-error" />
+        <label className="stack-label">
+          {t('Full name')}
+          <input
+            {...fieldProps(`${formId}-full_name`, errors.full_name)}
+            className={errors.full_name ? 'invalid' : ''}
+            required
+            value={draft.full_name}
+            onChange={(e) => updateDraft('full_name', e.target.value)}
+          />
+        </label>
+        <FieldError fieldId={`${formId}-full_name`} message={errors.full_name} />
+        <label className="stack-label">
+          {t('Date of birth')}
+          <input
+            {...fieldProps(`${formId}-date_of_birth`, errors.date_of_birth)}
+            type="date"
+            className={errors.date_of_birth ? 'invalid' : ''}
+            required
+            max={todayISO()}
+            value={draft.date_of_birth}
+            onChange={(e) => updateDraft('date_of_birth', e.target.value)}
+          />
+        </label>
+        <FieldError fieldId={`${formId}-date_of_birth`} message={errors.date_of_birth} />
+        <label className="stack-label">
+          {t('Email')}
+          <input
+            {...fieldProps(`${formId}-email`, errors.email)}
+            type="email"
+            className={errors.email ? 'invalid' : ''}
+            required
+            value={draft.email}
+            onChange={(e) => updateDraft('email', e.target.value)}
+          />
+        </label>
+        <FieldError fieldId={`${formId}-email`} message={errors.email} />
+        <div className="card-actions">
+          <button type="submit">{t('Save')}</button>
+          <button type="button" className="secondary" onClick={() => setEditing(false)}>
+            {t('Cancel')}
+          </button>
+        </div>
+      </form>
+    )
+  }
+
+  return (
+    <div
+      className="patient-card"
+      role="group"
+      tabIndex={0}
+      aria-label={patient.full_name}
+      onKeyDown={(e) => handleCardKeyDown(e, () => onOpen(patient))}
+    >
+      <button type="button" className="link patient-name" onClick={() => onOpen(patient)}>
+        {patient.full_name}
+      </button>
+      <div className="muted">{patient.email}</div>
+      <div className="muted">
+        {t('DOB: {date}', { date: formatDate(patient.date_of_birth) })}
+        {formatAge(patient.date_of_birth) && ` · ${formatAge(patient.date_of_birth)}`}
+      </div>
+      <div className="muted">{t('ID: {id}', { id: patient.id })}</div>
+      <div className="card-actions">
+        <button type="button" className="link" onClick={() => onOpen(patient)}>
+          {t('History')}
+        </button>
+        <button type="button" className="link" onClick={startEditing}>
+          {t('Edit')}
+        </button>
+        <button type="button" className="link danger-link" onClick={() => onDelete(patient)}>
+          {t('Delete')}
+        </button>
+      </div>
+    </div>
+  )
+}
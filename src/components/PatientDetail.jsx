@@ -0,0 +1,114 @@
+import SummaryBlock from './SummaryBlock.jsx'
+import useI18n from '../hooks/useI18n.js'
+
+function byCreatedAt(a, b) {
+  return new Date(a.created_at || 0) - new Date(b.created_at || 0)
+}
+
+export default function PatientDetail({
+  patient,
+  consultations,
+  loading,
+  complete,
+  generatingIds,
+  onBack,
+  onReload,
+  onNewConsultation,
+  onGenerateSummary,
+  onPrint,
+}) {
+  const { t, formatDate, formatAge } = useI18n()
+  const timeline = [...consultations].sort(byCreatedAt)
+  const urgentCount = timeline.filter((item) => item.ai_summary?.requires_urgent_care).length
+
+  return (
+    <section className="card">
+      <div className="section-head">
+        <div>
+          <h2>{patient ? patient.full_name : t('Loading patient...')}</h2>
+          {patient && (
+            <div className="muted">
+              {patient.email} · {t('DOB: {date}', { date: formatDate(patient.date_of_birth) })}
+              {formatAge(patient.date_of_birth) && ` · ${formatAge(patient.date_of_birth)}`}
+              {' · '}{t('ID: {id}', { id: patient.id })}
+            </div>
+          )}
+        </div>
+        <div className="section-actions">
+          <button type="button" className="secondary" onClick={onBack}>
+            {t('Back')}
+          </button>
+          <button type="button" className="secondary" onClick={onReload}>
+            {t('Reload')}
+          </button>
+          <button type="button" className="secondary" onClick={onPrint} disabled={!patient || loading || !complete}>
+            {t('Print history')}
+          </button>
+          <button type="button" onClick={onNewConsultation} disabled={!patient}>
+            {t('New consultation for this patient')}
+          </button>
+        </div>
+      </div>
+
+      <div className="muted">
+        {t('{count} consultations', { count: timeline.length })}
+        {urgentCount > 0 && ` · ${t('{count} flagged for urgent care', { count: urgentCount })}`}
+      </div>
+
+      {loading && <div className="empty" role="status">{t('Loading consultation history...')}</div>}
+
+      {!loading && !complete && (
+        <div className="form-error" role="alert">
+          {timeline.length > 0
+            ? t('Only part of the consultation history could be loaded. Reload to fetch the rest.')
+            : t('Could not load the consultation history.')}
+        </div>
+      )}
+
+      {!loading && complete && timeline.length === 0 && (
+        <div className="empty">{t('No consultations recorded for this patient.')}</div>
+      )}
+
+      {timeline.length > 0 && (
+        <ol className="timeline">
+          {timeline.map((item) => {
+            const urgent = Boolean(item.ai_summary?.requires_urgent_care)
+            return (
+              <li key={item.id} className={`timeline-item ${urgent ? 'urgent' : ''}`}>
+                <div className="timeline-date">{formatDate(item.created_at)}</div>
+                <div className="timeline-content">
+                  <div className="consultation-head">
+                    <div className="consultation-id">
+                      {t('Consultation {id}', { id: item.id })}
+                      {urgent && <span className="urgent-badge">{t('Urgent care')}</span>}
+                    </div>
+                    {!item.ai_summary && (
+                      <button
+                        type="button"
+                        className="secondary"
+                        onClick={() => onGenerateSummary(item.id)}
+                      >
+                        {generatingIds.includes(item.id) ? t('Generating...') : t('Generate Summary')}
+                      </button>
+                    )}
+                  </div>
+                  <div className="consultation-body">
+                    <div>
+                      <strong>{t('Symptoms')}</strong>
+                      <p>{item.symptoms || '-'}</p>
+                    </div>
+                    <div>
+                      <strong>{t('Diagnosis')}</strong>
+                      <p>{item.diagnosis || '-'}</p>
+                    </div>
+                  </div>
+                  <SummaryBlock summary={item.ai_summary} status={item.summary_status} local={item.summary_local} />
+                </div>
+              </li>
+            )
+          })}
+        </ol>
+      )}
+    </section>
+  )
+}
@@ -0,0 +1,275 @@
+import { useMemo, useState } from 'react'
+import { runWithConcurrency } from '../lib/concurrency.js'
+import { toCsv } from '../lib/csv.js'
+import { downloadFile } from '../lib/download.js'
+import useI18n from '../hooks/useI18n.js'
+import { createTranslator } from '../lib/i18n.js'
+import { IMPORT_FIELDS, buildImportRows, guessMapping, parseImportFile } from '../lib/patientImport.js'
+
+const CONCURRENCY = 3
+
+const REPORT_COLUMNS = [
+  { label: 'line', value: (row) => row.line },
+  { label: 'full_name', value: (row) => row.patient.full_name },
+  { label: 'date_of_birth', value: (row) => row.patient.date_of_birth },
+  { label: 'email', value: (row) => row.patient.email },
+  { label: 'result', value: (row) => row.result },
+  { label: 'patient_id', value: (row) => row.patientId ?? '' },
+  { label: 'error', value: (row) => row.error ?? '' },
+]
+
+const reportT = createTranslator('en')
+
+function messageText(message, t) {
+  if (typeof message === 'string') return t(message)
+  const reasons = (message.reasons || []).map((reason) => t(reason)).join(', ').toLowerCase()
+  return t(message.text, { ...message.params, reasons })
+}
+
+function errorText(errors, t = reportT) {
+  return Object.entries(errors)
+    .map(([field, message]) => (
+      field === 'non_field_errors' ? messageText(message, t) : `${field}: ${messageText(message, t)}`
+    ))
+    .join(' ')
+}
+
+function warningText(warnings, t = reportT) {
+  return warnings.map((warning) => messageText(warning, t)).join(' ')
+}
+
+export default function PatientImport({ createPatient, loadExistingPatients, onFinished }) {
+  const { t } = useI18n()
+  const [file, setFile] = useState(null)
+  const [mapping, setMapping] = useState({})
+  const [parseError, setParseError] = useState('')
+  const [progress, setProgress] = useState(null)
+  const [report, setReport] = useState(null)
+  const [existing, setExisting] = useState(null)
+  const [checking, setChecking] = useState(false)
+  const [skipDuplicates, setSkipDuplicates] = useState(true)
+
+  const rows = useMemo(
+    () => (file ? buildImportRows(file.records, mapping, existing) : []),
+    [file, mapping, existing]
+  )
+  const validRows = rows.filter((row) => Object.keys(row.errors).length === 0)
+  const flaggedRows = validRows.filter((row) => row.warnings.length > 0)
+  const importRows = skipDuplicates ? validRows.filter((row) => row.warnings.length === 0) : validRows
+
+  async function handleFile(e) {
+    const selected = e.target.files?.[0]
+    e.target.value = ''
+    if (!selected) return
+    setReport(null)
+    setParseError('')
+    try {
+      const parsed = parseImportFile(selected.name, await selected.text())
+      if (parsed.records.length === 0) throw new Error(t('The file has no data rows.'))
+      setFile({ name: selected.name, ...parsed })
+      setMapping(guessMapping(parsed.headers))
+    } catch (error) {
+      setFile(null)
+      setParseError(error.message)
+    }
+  }
+
+  async function checkExisting() {
+    setChecking(true)
+    setParseError('')
+    const { ok, items } = await loadExistingPatients()
+    setChecking(false)
+    if (ok) {
+      setExisting(items)
+    } else {
+      setParseError(t('Could not load existing patients to check for duplicates.'))
+    }
+  }
+
+  async function runImport() {
+    const skipped = rows
+      .filter((row) => !importRows.includes(row))
+      .map((row) => ({
+        ...row,
+        result: 'skipped',
+        error: errorText(row.errors) || warningText(row.warnings),
+      }))
+    setProgress({ done: 0, total: importRows.length })
+
+    const imported = await runWithConcurrency(importRows, CONCURRENCY, async (row) => {
+      let outcome
+      try {
+        const { ok, status, data, errors } = await createPatient(row.patient)
+        outcome = ok && data?.id != null
+          ? { ...row, result: 'created', patientId: data.id }
+          : { ...row, result: 'failed', error: errorText(errors) || reportT('Request failed ({status})', { status }) }
+      } catch (error) {
+        outcome = { ...row, result: 'failed', error: error.message }
+      }
+      setProgress((prev) => ({ ...prev, done: prev.done + 1 }))
+      return outcome
+    })
+
+    const results = [...imported, ...skipped].sort((a, b) => a.line - b.line)
+    setReport({ fileName: file.name, results })
+    setProgress(null)
+    setFile(null)
+    setExisting(null)
+    onFinished(results.filter((row) => row.result === 'created').length)
+  }
+
+  function downloadReport(onlyFailures) {
+    const results = onlyFailures
+      ? report.results.filter((row) => row.result !== 'created')
+      : report.results
+    const base = report.fileName.replace(/\.[^.]+$/, '')
+    downloadFile(
+      `${base}-${onlyFailures ? 'failures' : 'report'}.csv`,
+      toCsv(REPORT_COLUMNS, results),
+      'text/csv;charset=utf-8'
+    )
+  }
+
+  const created = report?.results.filter((row) => row.result === 'created').length ?? 0
+
+  return (
+    <div className="stack">
+      <div className="muted">
+        {t('Upload a CSV with a header row, or a JSON array. Dates must be YYYY-MM-DD.')}
+      </div>
+      <label className="stack-label">
+        {t('Patient file')}
+        <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} disabled={Boolean(progress)} />
+      </label>
+      {parseError && <div className="form-error" role="alert">{parseError}</div>}
+
+      {file && (
+        <>
+          <div className="filter-grid">
+            {IMPORT_FIELDS.map((field) => (
+              <label key={field.id} className="stack-label">
+                {t(field.label)}
+                <select
+                  value={mapping[field.id] ?? ''}
+                  onChange={(e) => setMapping({ ...mapping, [field.id]: e.target.value })}
+                >
+                  <option value="">{t('Not mapped')}</option>
+                  {file.headers.map((header, index) => (
+                    <option key={`${header}-${index}`} value={String(index)}>{header || t('Column {number}', { number: index + 1 })}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          <div className="table-wrap">
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>{t('Line')}</th>
+                  <th>{t('Full name')}</th>
+                  <th>{t('Date of birth')}</th>
+                  <th>{t('Email')}</th>
+                  <th>{t('Problems')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr
+                    key={row.line}
+                    className={Object.keys(row.errors).length ? 'row-invalid' : row.warnings.length ? 'row-warning' : ''}
+                  >
+                    <td>{row.line}</td>
+                    <td>{row.patient.full_name}</td>
+                    <td>{row.patient.date_of_birth}</td>
+                    <td>{row.patient.email}</td>
+                    <td>{errorText(row.errors, t) || warningText(row.warnings, t) || t('OK')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="note">
+            {existing
+              ? `${t('Checked against {count} existing patients.', { count: existing.length })} ${t('{count} rows may be duplicates.', { count: flaggedRows.length })}`
+              : t('{count} rows look like duplicates within the file. Check against existing patients before importing.', {
+                count: flaggedRows.length,
+              })}
+          </div>
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={skipDuplicates}
+              onChange={(e) => setSkipDuplicates(e.target.checked)}
+            />
+            {t('Skip rows flagged as possible duplicates')}
+          </label>
+
+          <div className="card-actions">
+            <button type="button" onClick={runImport} disabled={importRows.length === 0 || Boolean(progress)}>
+              {t('Import {selected} of {count} rows', { selected: importRows.length, count: rows.length })}
+            </button>
+            <button type="button" className="secondary" onClick={checkExisting} disabled={checking || Boolean(progress)}>
+              {checking ? t('Checking...') : existing ? t('Check again') : t('Check against existing patients')}
+            </button>
+            <button type="button" className="secondary" onClick={() => setFile(null)} disabled={Boolean(progress)}>
+              {t('Cancel')}
+            </button>
+          </div>
+        </>
+      )}
+
+      {progress && (
+        <div className="progress" role="progressbar" aria-label={t('Import progress')} aria-valuemin={0} aria-valuemax={progress.total} aria-valuenow={progress.done}>
+          <div className="progress-bar" style={{ width: `${(progress.done / Math.max(1, progress.total)) * 100}%` }} />
+          <span className="progress-label">{progress.done} / {progress.total}</span>
+        </div>
+      )}
+
+      {report && (
+        <div className="stack">
+          <div className="note">
+            {t('{file}: {created} created, {failed} not imported.', {
+              file: report.fileName,
+              created,
+              failed: report.results.length - created,
+            })}
+          </div>
+          <div className="table-wrap">
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>{t('Line')}</th>
+                  <th>{t('Full name')}</th>
+                  <th>{t('Result')}</th>
+                  <th>{t('Details')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.results.map((row) => (
+                  <tr key={row.line} className={row.result === 'created' ? '' : 'row-invalid'}>
+                    <td>{row.line}</td>
+                    <td>{row.patient.full_name}</td>
+                    <td>{t(row.result)}</td>
+                    <td>{row.result === 'created' ? t('ID: {id}', { id: row.patientId }) : row.error}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="card-actions">
+            <button type="button" className="secondary" onClick={() => downloadReport(false)}>
+              {t('Download report CSV')}
+            </button>
+            {created < report.results.length && (
+              <button type="button" className="secondary" onClick={() => downloadReport(true)}>
+                {t('Download failures CSV')}
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,177 @@
+import { useEffect, useId, useRef, useState } from 'react'
+import useI18n from '../hooks/useI18n.js'
+import { loadRecentPatients, rememberRecentPatient } from '../lib/recentPatients.js'
+
+const DEBOUNCE_MS = 250
+
+export default function PatientPicker({
+  id,
+  describedBy,
+  value,
+  selected,
+  onSelect,
+  searchPatients,
+  placeholder,
+  clearLabel,
+  invalid = false,
+  recentScope,
+}) {
+  const { t, formatDate } = useI18n()
+  const listId = useId()
+  const [open, setOpen] = useState(false)
+  const [query, setQuery] = useState('')
+  const [results, setResults] = useState([])
+  const [page, setPage] = useState(1)
+  const [hasMore, setHasMore] = useState(false)
+  const [loading, setLoading] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(-1)
+  const [recent, setRecent] = useState(() => loadRecentPatients(recentScope))
+  const controllerRef = useRef(null)
+  const containerRef = useRef(null)
+
+  useEffect(() => {
+    setRecent(loadRecentPatients(recentScope))
+  }, [recentScope])
+
+  const showingRecent = query.trim() === '' && recent.length > 0
+  const options = showingRecent ? recent : results
+
+  async function fetchPage(text, pageNumber) {
+    controllerRef.current?.abort()
+    const controller = new AbortController()
+    controllerRef.current = controller
+    setLoading(true)
+    try {
+      const { ok, items, hasMore: more } = await searchPatients(text, pageNumber, controller.signal)
+      if (controller.signal.aborted || !ok) return
+      setResults((prev) => (pageNumber === 1 ? items : [...prev, ...items]))
+      setPage(pageNumber)
+      setHasMore(more)
+    } catch (error) {
+      if (error.name !== 'AbortError') setHasMore(false)
+    } finally {
+      if (controllerRef.current === controller) setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    if (!open) return undefined
+    setActiveIndex(-1)
+    if (query.trim() === '' && recent.length > 0) return undefined
+    const timer = setTimeout(() => fetchPage(query.trim(), 1), DEBOUNCE_MS)
+    return () => clearTimeout(timer)
+  }, [query, open])
+
+  useEffect(() => () => controllerRef.current?.abort(), [])
+
+  useEffect(() => {
+    if (!open) return undefined
+    function handleClick(e) {
+      if (!containerRef.current?.contains(e.target)) close()
+    }
+    document.addEventListener('mousedown', handleClick)
+    return () => document.removeEventListener('mousedown', handleClick)
+  }, [open])
+
+  function close() {
+    controllerRef.current?.abort()
+    setOpen(false)
+    setQuery('')
+    setActiveIndex(-1)
+  }
+
+  function choose(patient) {
+    setRecent(rememberRecentPatient(patient, recentScope))
+    onSelect(patient)
+    close()
+  }
+
+  function handleKeyDown(e) {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      if (!open) setOpen(true)
+      setActiveIndex((prev) => Math.min(prev + 1, options.length - 1))
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActiveIndex((prev) => Math.max(prev - 1, 0))
+    } else if (e.key === 'Enter' && open) {
+      e.preventDefault()
+      if (options[activeIndex]) choose(options[activeIndex])
+    } else if (e.key === 'Escape' && open) {
+      e.preventDefault()
+      close()
+    }
+  }
+
+  function patientLabel(patient) {
+    return `${patient.full_name} (${formatDate(patient.date_of_birth)})`
+  }
+
+  function handleScroll(e) {
+    const { scrollTop, scrollHeight, clientHeight } = e.currentTarget
+    if (!showingRecent && hasMore && !loading && scrollHeight - scrollTop - clientHeight < 40) {
+      fetchPage(query.trim(), page + 1)
+    }
+  }
+
+  return (
+    <div className="picker" ref={containerRef}>
+      <div className="picker-field">
+        <input
+          id={id}
+          role="combobox"
+          aria-expanded={open}
+          aria-controls={listId}
+          aria-autocomplete="list"
+          aria-activedescendant={activeIndex >= 0 ? `${listId}-${activeIndex}` : undefined}
+          aria-invalid={invalid || undefined}
+          aria-describedby={describedBy}
+          className={invalid ? 'invalid' : ''}
+          value={open ? query : selected ? patientLabel(selected) : value ? t('Patient #{id}', { id: value }) : ''}
+          onChange={(e) => setQuery(e.target.value)}
+          onFocus={() => setOpen(true)}
+          onKeyDown={handleKeyDown}
+          placeholder={clearLabel && !value ? clearLabel : placeholder || t('Search patients by name')}
+        />
+        {clearLabel && value && !open && (
+          <button type="button" className="link picker-clear" onClick={() => onSelect(null)}>
+            {t('Clear')}
+          </button>
+        )}
+      </div>
+
+      {open && (
+        <ul className="picker-list" id={listId} role="listbox" aria-label={t('Patients')} aria-busy={loading} onScroll={handleScroll}>
+          {showingRecent && <li className="picker-heading">{t('Recently selected')}</li>}
+          {options.map((patient, index) => (
+            <li
+              key={patient.id}
+              id={`${listId}-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={`picker-option ${index === activeIndex ? 'active' : ''}`}
+              onMouseDown={(e) => e.preventDefault()}
+              onMouseEnter={() => setActiveIndex(index)}
+              onClick={() => choose(patient)}
+            >
+              <div className="patient-name">{patient.full_name}</div>
+              <div className="muted">
+                {t('DOB: {date}', { date: formatDate(patient.date_of_birth) })} · {patient.email || t('no email')}
+                {' · '}{t('ID: {id}', { id: patient.id })}
+              </div>
+            </li>
+          ))}
+          {!loading && options.length === 0 && <li className="picker-heading">{t('No patients found.')}</li>}
+          {loading && <li className="picker-heading">{t('Searching...')}</li>}
+          {!showingRecent && hasMore && !loading && (
+            <li className="picker-heading">
+              <button type="button" className="link" onClick={() => fetchPage(query.trim(), page + 1)}>
+                {t('Load more')}
+              </button>
+            </li>
+          )}
+        </ul>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,82 @@
+import { useEffect } from 'react'
+import useI18n from '../hooks/useI18n.js'
+import { REVIEW_STATUS_LABELS } from '../lib/summaryReview.js'
+
+export default function PrintReport({ report, onDone }) {
+  const { t, formatDate, formatDateTime, formatAge } = useI18n()
+
+  useEffect(() => {
+    if (!report) return undefined
+    window.addEventListener('afterprint', onDone)
+    const frame = requestAnimationFrame(() => window.print())
+    return () => {
+      cancelAnimationFrame(frame)
+      window.removeEventListener('afterprint', onDone)
+    }
+  }, [report])
+
+  if (!report) return null
+
+  const { title, patient, consultations } = report
+
+  return (
+    <div className="print-report">
+      <header className="print-header">
+        <div>
+          <div className="print-title">{title}</div>
+          <div className="muted">{t('Generated {time}', { time: formatDateTime(new Date()) })}</div>
+        </div>
+        <div className="print-brand">{t('Consultation')}</div>
+      </header>
+
+      <section className="print-section">
+        <h2>{t('Patient')}</h2>
+        {patient ? (
+          <dl className="print-demographics">
+            <div><dt>{t('Name')}</dt><dd>{patient.full_name}</dd></div>
+            <div><dt>{t('Date of birth')}</dt><dd>{formatDate(patient.date_of_birth)}</dd></div>
+            <div><dt>{t('Age')}</dt><dd>{formatAge(patient.date_of_birth) || '-'}</dd></div>
+            <div><dt>{t('Email')}</dt><dd>{patient.email || '-'}</dd></div>
+            <div><dt>{t('Patient ID')}</dt><dd>{patient.id}</dd></div>
+          </dl>
+        ) : (
+          <p>{t('Patient details unavailable.')}</p>
+        )}
+      </section>
+
+      {consultations.map((item) => (
+        <section className="print-section print-consultation" key={item.id}>
+          <h2>
+            {t('Consultation {id}', { id: item.id })} · {formatDateTime(item.created_at)}
+            {item.ai_summary?.requires_urgent_care && <span className="print-urgent">{t('Urgent care')}</span>}
+          </h2>
+          <h3>{t('Symptoms')}</h3>
+          <p>{item.symptoms || '-'}</p>
+          <h3>{t('Diagnosis')}</h3>
+          <p>{item.diagnosis || '-'}</p>
+          {item.ai_summary && (
+            <>
+              <h3>{t('Summary')}</h3>
+              {item.summary_status && <p className="print-review">{t(REVIEW_STATUS_LABELS[item.summary_status])}</p>}
+              {item.summary_local && (
+                <p className="print-review">
+                  {t('By {name} on {time}. Saved in this browser only; other devices show the AI output.', {
+                    name: item.summary_local.by || t('unknown user'),
+                    time: formatDateTime(item.summary_local.at),
+                  })}
+                </p>
+              )}
+              <p>{item.ai_summary.brief_summary}</p>
+              <h3>{t('Key symptoms')}</h3>
+              <p>{(item.ai_summary.key_symptoms || []).join(t(', ')) || '-'}</p>
+              <h3>{t('Suggested treatment plan')}</h3>
+              <p>{item.ai_summary.suggested_treatment_plan || '-'}</p>
+            </>
+          )}
+        </section>
+      ))}
+
+      {consultations.length === 0 && <p>{t('No consultations recorded.')}</p>}
+    </div>
+  )
+}
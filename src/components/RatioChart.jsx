@@ -0,0 +1,35 @@
+import useI18n from '../hooks/useI18n.js'
+
+const RADIUS = 40
+const CIRCUMFERENCE = 2 * Math.PI * RADIUS
+
+export default function RatioChart({ title, part, total, partLabel, restLabel, tone = '' }) {
+  const { formatNumber } = useI18n()
+  const ratio = total > 0 ? part / total : 0
+  const percent = formatNumber(ratio, { style: 'percent' })
+
+  return (
+    <figure className="ratio-chart">
+      <svg viewBox="0 0 100 100" role="img" aria-label={`${title}: ${percent}`}>
+        <circle className="ratio-track" cx="50" cy="50" r={RADIUS} />
+        <circle
+          className={`ratio-value ${tone}`}
+          cx="50"
+          cy="50"
+          r={RADIUS}
+          strokeDasharray={`${ratio * CIRCUMFERENCE} ${CIRCUMFERENCE}`}
+          transform="rotate(-90 50 50)"
+        />
+        <text className="ratio-label" x="50" y="55" textAnchor="middle">
+          {total > 0 ? percent : '-'}
+        </text>
+      </svg>
+      <figcaption>
+        <strong>{title}</strong>
+        <div className="muted">
+          {formatNumber(part)} {partLabel} · {formatNumber(total - part)} {restLabel}
+        </div>
+      </figcaption>
+    </figure>
+  )
+}
@@ -0,0 +1,31 @@
+import { useEffect, useState } from 'react'
+import useI18n from '../hooks/useI18n.js'
+
+function formatRemaining(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000))
+  const hours = Math.floor(total / 3600)
+  const minutes = Math.floor((total % 3600) / 60)
+  const seconds = String(total % 60).padStart(2, '0')
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`
+}
+
+export default function SessionCountdown({ expiresAt, warningMs }) {
+  const { t } = useI18n()
+  const [now, setNow] = useState(Date.now())
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [])
+
+  if (!expiresAt) return null
+  const remaining = expiresAt - now
+
+  return (
+    <div role="timer" className={`session-countdown ${remaining <= warningMs ? 'warning' : ''}`}>
+      {t('Session ends in {time}', { time: formatRemaining(remaining) })}
+    </div>
+  )
+}
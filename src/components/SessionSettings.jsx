@@ -0,0 +1,34 @@
+import { useState } from 'react'
+import useI18n from '../hooks/useI18n.js'
+
+export default function SessionSettings({ idleMinutes, expiresAt, onIdleMinutesChange }) {
+  const { t, formatDateTime } = useI18n()
+  const [value, setValue] = useState(String(idleMinutes))
+
+  function submit(e) {
+    e.preventDefault()
+    const minutes = Math.max(0, Number.parseInt(value, 10) || 0)
+    setValue(String(minutes))
+    onIdleMinutesChange(minutes)
+  }
+
+  return (
+    <section className="card">
+      <h2>{t('Session')}</h2>
+      <form onSubmit={submit} className="stack">
+        <label className="stack-label">
+          {t('Log out after this many idle minutes (0 turns it off)')}
+          <input type="number" min="0" step="1" value={value} onChange={(e) => setValue(e.target.value)} />
+        </label>
+        <div className="card-actions">
+          <button type="submit">{t('Save')}</button>
+        </div>
+      </form>
+      <div className="note">
+        {expiresAt
+          ? t('Current session expires at {time}.', { time: formatDateTime(expiresAt) })
+          : t('Not logged in to this backend.')}
+      </div>
+    </section>
+  )
+}
@@ -0,0 +1,25 @@
+import Modal from './Modal.jsx'
+import SessionCountdown from './SessionCountdown.jsx'
+import useI18n from '../hooks/useI18n.js'
+
+export default function SessionWarning({ expiresAt, warningMs, message, extending, onExtend, onLogout }) {
+  const { t } = useI18n()
+
+  return (
+    <Modal
+      title={t('Your session is about to end')}
+      description={message || t('Extend the session to keep working, or log out now.')}
+      role="alertdialog"
+    >
+      <SessionCountdown expiresAt={expiresAt} warningMs={warningMs} />
+      <div className="modal-actions">
+        <button type="button" className="secondary" onClick={onLogout}>
+          {t('Log out')}
+        </button>
+        <button type="button" onClick={onExtend} disabled={extending} data-autofocus>
+          {extending ? t('Extending...') : t('Extend session')}
+        </button>
+      </div>
+    </Modal>
+  )
+}
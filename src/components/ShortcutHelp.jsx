@@ -0,0 +1,40 @@
+import Modal from './Modal.jsx'
+import useI18n from '../hooks/useI18n.js'
+import { SHORTCUT_ACTIONS, paletteShortcutLabel } from '../lib/shortcuts.js'
+
+export default function ShortcutHelp({ shortcuts, onClose }) {
+  const { t } = useI18n()
+  const rows = [
+    { keys: [paletteShortcutLabel()], label: t('Open the command palette') },
+    ...SHORTCUT_ACTIONS.map((action) => ({ keys: [shortcuts[action.id]], label: t(action.label) })),
+    { keys: ['←', '↑', '→', '↓'], label: t('Move between patient and consultation cards') },
+    { keys: ['Home', 'End'], label: t('Jump to the first or last card') },
+    { keys: ['Enter'], label: t('Open the focused card') },
+    { keys: ['Esc'], label: t('Close a dialog or panel') },
+  ]
+
+  return (
+    <Modal title={t('Keyboard shortcuts')} className="modal-wide" onClose={onClose}>
+      <table className="shortcut-table">
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row.label}>
+              <td>
+                {row.keys.map((key) => (
+                  <kbd key={key}>{key}</kbd>
+                ))}
+              </td>
+              <td>{row.label}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="muted">{t('Single-key shortcuts are ignored while typing in a field. Change them on the Settings page.')}</p>
+      <div className="modal-actions">
+        <button type="button" className="secondary" onClick={onClose}>
+          {t('Close')}
+        </button>
+      </div>
+    </Modal>
+  )
+}
@@ -0,0 +1,70 @@
+import { useState } from 'react'
+import FieldError from './FieldError.jsx'
+import useI18n from '../hooks/useI18n.js'
+import { fieldProps } from '../lib/a11y.js'
+import {
+  SHORTCUT_ACTIONS,
+  defaultShortcuts,
+  normalizeKey,
+  paletteShortcutLabel,
+  validateShortcuts,
+} from '../lib/shortcuts.js'
+
+export default function ShortcutSettings({ shortcuts, onChange }) {
+  const { t } = useI18n()
+  const [draft, setDraft] = useState(shortcuts)
+  const [errors, setErrors] = useState({})
+
+  function update(id, value) {
+    setDraft((prev) => ({ ...prev, [id]: normalizeKey(value.slice(-1)) }))
+    setErrors(({ [id]: _, ...rest }) => rest)
+  }
+
+  function submit(e) {
+    e.preventDefault()
+    const nextErrors = validateShortcuts(draft)
+    setErrors(nextErrors)
+    if (Object.keys(nextErrors).length === 0) onChange(draft)
+  }
+
+  function reset() {
+    const defaults = defaultShortcuts()
+    setDraft(defaults)
+    setErrors({})
+    onChange(defaults)
+  }
+
+  return (
+    <section className="card">
+      <h2>{t('Keyboard shortcuts')}</h2>
+      <form onSubmit={submit} className="stack" noValidate>
+        <div className="filter-grid">
+          {SHORTCUT_ACTIONS.map((action) => (
+            <div key={action.id} className="stack">
+              <label className="stack-label">
+                {t(action.label)}
+                <input
+                  {...fieldProps(`shortcut-${action.id}`, errors[action.id])}
+                  className={errors[action.id] ? 'invalid' : ''}
+                  maxLength={2}
+                  value={draft[action.id]}
+                  onChange={(e) => update(action.id, e.target.value)}
+                />
+              </label>
+              <FieldError fieldId={`shortcut-${action.id}`} message={errors[action.id]} />
+            </div>
+          ))}
+        </div>
+        <div className="card-actions">
+          <button type="submit">{t('Save')}</button>
+          <button type="button" className="secondary" onClick={reset}>
+            {t('Restore defaults')}
+          </button>
+        </div>
+      </form>
+      <div className="note">
+        {t('Shortcuts work anywhere outside text fields. Press {key} to open the command palette.', { key: paletteShortcutLabel() })}
+      </div>
+    </section>
+  )
+}
@@ -0,0 +1,25 @@
+import useI18n from '../hooks/useI18n.js'
+import { REVIEW_STATUS_LABELS } from '../lib/summaryReview.js'
+
+export default function SummaryBlock({ summary, status, local }) {
+  const { t, formatDateTime } = useI18n()
+  if (!summary) return null
+
+  return (
+    <div className={`summary ${status ? `review-${status}` : ''}`}>
+      {status && <div className={`review-badge ${status}`}>{t(REVIEW_STATUS_LABELS[status])}</div>}
+      {local && (
+        <div className="review-local">
+          {t('By {name} on {time}. Saved in this browser only; other devices show the AI output.', {
+            name: local.by || t('unknown user'),
+            time: formatDateTime(local.at),
+          })}
+        </div>
+      )}
+      <div><strong>{t('Brief:')}</strong> {summary.brief_summary}</div>
+      <div><strong>{t('Symptoms:')}</strong> {(summary.key_symptoms || []).join(t(', '))}</div>
+      <div><strong>{t('Urgent:')}</strong> {summary.requires_urgent_care ? t('Yes') : t('No')}</div>
+      <div><strong>{t('Plan:')}</strong> {summary.suggested_treatment_plan}</div>
+    </div>
+  )
+}
@@ -0,0 +1,106 @@
+import { useState } from 'react'
+import useI18n from '../hooks/useI18n.js'
+import {
+  REVIEW_STATUS_LABELS,
+  SUMMARY_FIELDS,
+  diffWords,
+  formatSummaryField,
+  reviewStatus,
+} from '../lib/summaryReview.js'
+
+function DiffText({ parts }) {
+  if (parts.length === 0) return <span className="muted">-</span>
+  return parts.map((part, index) =>
+    part.changed ? <mark key={index}>{part.text}</mark> : <span key={index}>{part.text}</span>
+  )
+}
+
+export default function SummaryHistory({ versions, onClose }) {
+  const { t, formatDateTime } = useI18n()
+  const [leftId, setLeftId] = useState(() => versions[Math.max(0, versions.length - 2)].id)
+  const [rightId, setRightId] = useState(() => versions[versions.length - 1].id)
+  const left = versions.find((version) => version.id === Number(leftId)) || versions[0]
+  const right = versions.find((version) => version.id === Number(rightId)) || versions[versions.length - 1]
+
+  function versionLabel(version) {
+    const source = version.source === 'ai'
+      ? t('AI output')
+      : version.author ? t('Edit by {name}', { name: version.author }) : t('Clinician edit')
+    return `${t('v{id}', { id: version.id })} · ${source} · ${formatDateTime(version.createdAt)}`
+  }
+
+  function fieldText(key, summary) {
+    const text = formatSummaryField(key, summary[key])
+    return key === 'requires_urgent_care' ? t(text) : text
+  }
+
+  function renderSelect(label, value, onChange) {
+    return (
+      <select aria-label={label} value={value} onChange={(e) => onChange(e.target.value)}>
+        {versions.map((version) => (
+          <option key={version.id} value={version.id}>
+            {versionLabel(version)}
+          </option>
+        ))}
+      </select>
+    )
+  }
+
+  function renderReview(version) {
+    const status = reviewStatus(version)
+    return (
+      <div className="muted">
+        {t(REVIEW_STATUS_LABELS[status])}
+        {version.review?.by && ` · ${t('by {name}', { name: version.review.by })}`}
+        {version.review?.note && ` · "${version.review.note}"`}
+      </div>
+    )
+  }
+
+  return (
+    <div className="summary-history">
+      <div className="section-head">
+        <strong>
+          {t('{count} versions', { count: versions.length })}
+        </strong>
+        <button type="button" className="link" onClick={onClose}>
+          {t('Close history')}
+        </button>
+      </div>
+      <table className="diff-table">
+        <thead>
+          <tr>
+            <th />
+            <th>
+              {renderSelect(t('Compare from version'), left.id, setLeftId)}
+              {renderReview(left)}
+            </th>
+            <th>
+              {renderSelect(t('Compare to version'), right.id, setRightId)}
+              {renderReview(right)}
+            </th>
+          </tr>
+        </thead>
+        <tbody>
+          {SUMMARY_FIELDS.map(({ key, label }) => {
+            const { left: before, right: after } = diffWords(
+              fieldText(key, left.summary),
+              fieldText(key, right.summary)
+            )
+            return (
+              <tr key={key}>
+                <th>{t(label)}</th>
+                <td>
+                  <DiffText parts={before} />
+                </td>
+                <td>
+                  <DiffText parts={after} />
+                </td>
+              </tr>
+            )
+          })}
+        </tbody>
+      </table>
+    </div>
+  )
+}
@@ -0,0 +1,62 @@
+import useI18n from '../hooks/useI18n.js'
+
+const STATUS_LABELS = {
+  processing: 'Processing',
+  done: 'Done',
+  failed: 'Failed',
+}
+
+function latestJob(jobs) {
+  const changedAt = (job) => job.finishedAt || job.startedAt || 0
+  return jobs.reduce((found, job) => (!found || changedAt(job) > changedAt(found) ? job : found), null)
+}
+
+export default function SummaryJobsPanel({ jobs, onRetry, onDismiss, onClearFinished }) {
+  const { t } = useI18n()
+  const processing = jobs.filter((job) => job.status === 'processing').length
+  const latest = latestJob(jobs)
+
+  return (
+    <>
+      <div className="visually-hidden" role="status">
+        {latest && `${t('Consultation {id}', { id: latest.id })}: ${t(latest.message)}`}
+      </div>
+      {jobs.length > 0 && (
+        <aside className="jobs-panel" aria-label={t('Summary jobs')}>
+          <div className="jobs-head">
+            <strong>{t('Summary jobs')}</strong>
+            <span className="muted">{t('{count} running', { count: processing })}</span>
+          </div>
+          <ul className="jobs-list">
+            {jobs.map((job) => (
+              <li key={job.id} className={`job job-${job.status}`}>
+                <div>
+                  <div className="job-title">{t('Consultation {id}', { id: job.id })}</div>
+                  <div className="muted">{t(job.message)}</div>
+                </div>
+                <div className="job-actions">
+                  <span className={`job-badge job-badge-${job.status}`}>{t(STATUS_LABELS[job.status])}</span>
+                  {job.status === 'failed' && (
+                    <button type="button" className="link" onClick={() => onRetry(job.id)}>
+                      {t('Retry')}
+                    </button>
+                  )}
+                  {job.status !== 'processing' && (
+                    <button type="button" className="link" onClick={() => onDismiss(job.id)}>
+                      {t('Dismiss')}
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+          {processing < jobs.length && (
+            <button type="button" className="secondary" onClick={onClearFinished}>
+              {t('Clear finished')}
+            </button>
+          )}
+        </aside>
+      )}
+    </>
+  )
+}
@@ -0,0 +1,181 @@
+import { useId, useState } from 'react'
+import FieldError from './FieldError.jsx'
+import SummaryBlock from './SummaryBlock.jsx'
+import SummaryHistory from './SummaryHistory.jsx'
+import useI18n from '../hooks/useI18n.js'
+import { fieldProps } from '../lib/a11y.js'
+import { currentVersion } from '../lib/summaryReview.js'
+
+function draftFrom(summary) {
+  return {
+    brief_summary: summary?.brief_summary || '',
+    key_symptoms: (summary?.key_symptoms || []).join(', '),
+    requires_urgent_care: Boolean(summary?.requires_urgent_care),
+    suggested_treatment_plan: summary?.suggested_treatment_plan || '',
+  }
+}
+
+export default function SummaryReview({ item, record, onEdit, onReview }) {
+  const { t } = useI18n()
+  const formId = useId()
+  const [mode, setMode] = useState('view')
+  const [draft, setDraft] = useState(() => draftFrom(item.ai_summary))
+  const [decision, setDecision] = useState({ status: 'approved', note: '' })
+  const [errors, setErrors] = useState({})
+
+  if (!item.ai_summary) return null
+
+  const versions = record?.versions || []
+  const current = currentVersion(record)
+
+  function open(nextMode) {
+    setErrors({})
+    if (nextMode === 'edit') setDraft(draftFrom(item.ai_summary))
+    setMode(nextMode)
+  }
+
+  function startReview(status) {
+    setDecision({ status, note: '' })
+    open('review')
+  }
+
+  function updateDraft(field, value) {
+    setDraft((prev) => ({ ...prev, [field]: value }))
+    setErrors(({ [field]: _, ...rest }) => rest)
+  }
+
+  function saveEdit(e) {
+    e.preventDefault()
+    if (!draft.brief_summary.trim()) {
+      setErrors({ brief_summary: 'Brief summary is required.' })
+      return
+    }
+    onEdit(item.id, {
+      ...draft,
+      brief_summary: draft.brief_summary.trim(),
+      key_symptoms: draft.key_symptoms.split(',').map((symptom) => symptom.trim()).filter(Boolean),
+      suggested_treatment_plan: draft.suggested_treatment_plan.trim(),
+    })
+    setMode('view')
+  }
+
+  function saveReview(e) {
+    e.preventDefault()
+    const note = decision.note.trim()
+    if (decision.status === 'rejected' && !note) {
+      setErrors({ note: 'Explain why the summary is rejected.' })
+      return
+    }
+    onReview(item.id, decision.status, note)
+    setMode('view')
+  }
+
+  if (mode === 'edit') {
+    return (
+      <form className="summary stack" onSubmit={saveEdit} noValidate>
+        <label className="stack-label">
+          {t('Brief')}
+          <textarea
+            {...fieldProps(`${formId}-brief_summary`, errors.brief_summary)}
+            className={errors.brief_summary ? 'invalid' : ''}
+            required
+            value={draft.brief_summary}
+            onChange={(e) => updateDraft('brief_summary', e.target.value)}
+            rows={3}
+          />
+        </label>
+        <FieldError fieldId={`${formId}-brief_summary`} message={errors.brief_summary} />
+        <label className="stack-label">
+          {t('Key symptoms (comma separated)')}
+          <input value={draft.key_symptoms} onChange={(e) => updateDraft('key_symptoms', e.target.value)} />
+        </label>
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={draft.requires_urgent_care}
+            onChange={(e) => updateDraft('requires_urgent_care', e.target.checked)}
+          />
+          {t('Requires urgent care')}
+        </label>
+        <label className="stack-label">
+          {t('Plan')}
+          <textarea
+            value={draft.suggested_treatment_plan}
+            onChange={(e) => updateDraft('suggested_treatment_plan', e.target.value)}
+            rows={3}
+          />
+        </label>
+        <div className="card-actions">
+          <button type="submit">{t('Save summary')}</button>
+          <button type="button" className="secondary" onClick={() => setMode('view')}>
+            {t('Cancel')}
+          </button>
+        </div>
+      </form>
+    )
+  }
+
+  return (
+    <>
+      <SummaryBlock summary={item.ai_summary} status={item.summary_status} local={item.summary_local} />
+      {current?.review?.note && (
+        <div className="review-note">
+          {t('Review note: {note}', { note: current.review.note })}
+        </div>
+      )}
+
+      {mode === 'review' ? (
+        <form className="stack" onSubmit={saveReview} noValidate>
+          <label className="stack-label">
+            {decision.status === 'approved' ? t('Note (optional)') : t('Reason for rejecting')}
+            <textarea
+              {...fieldProps(`${formId}-note`, errors.note)}
+              className={errors.note ? 'invalid' : ''}
+              required={decision.status === 'rejected'}
+              value={decision.note}
+              onChange={(e) => {
+                setDecision((prev) => ({ ...prev, note: e.target.value }))
+                setErrors({})
+              }}
+              rows={2}
+            />
+          </label>
+          <FieldError fieldId={`${formId}-note`} message={errors.note} />
+          <div className="card-actions">
+            <button type="submit" className={decision.status === 'rejected' ? 'danger' : ''}>
+              {decision.status === 'approved' ? t('Approve summary') : t('Reject summary')}
+            </button>
+            <button type="button" className="secondary" onClick={() => setMode('view')}>
+              {t('Cancel')}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="card-actions">
+          <button type="button" className="link" onClick={() => open('edit')}>
+            {t('Edit summary')}
+          </button>
+          {item.summary_status !== 'approved' && (
+            <button type="button" className="link" onClick={() => startReview('approved')}>
+              {t('Approve')}
+            </button>
+          )}
+          {item.summary_status !== 'rejected' && (
+            <button type="button" className="link danger-link" onClick={() => startReview('rejected')}>
+              {t('Reject')}
+            </button>
+          )}
+          {versions.length > 1 && (
+            <button type="button" className="link" onClick={() => open(mode === 'history' ? 'view' : 'history')}>
+              {mode === 'history' ? t('Hide history') : t('History ({count})', { count: versions.length })}
+            </button>
+          )}
+        </div>
+      )}
+
+      {mode === 'history' && versions.length > 1 && (
+        <SummaryHistory versions={versions} onClose={() => setMode('view')} />
+      )}
+    </>
+  )
+}
@@ -0,0 +1,128 @@
+import { useId, useState } from 'react'
+import useI18n from '../hooks/useI18n.js'
+import { normalizeSymptom } from '../lib/symptomVocabulary.js'
+
+const MAX_OPTIONS = 8
+
+export default function SymptomChips({ id, value, suggestions, invalid = false, describedBy, onChange }) {
+  const { t } = useI18n()
+  const listId = useId()
+  const [text, setText] = useState('')
+  const [open, setOpen] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(-1)
+
+  const needle = normalizeSymptom(text)
+  const options = suggestions
+    .filter((term) => !value.includes(term) && term.includes(needle))
+    .sort((a, b) => Number(b.startsWith(needle)) - Number(a.startsWith(needle)))
+    .slice(0, MAX_OPTIONS)
+  const expanded = open && options.length > 0
+
+  function add(terms) {
+    const next = [...value]
+    terms.map(normalizeSymptom).forEach((term) => {
+      if (term && !next.includes(term)) next.push(term)
+    })
+    if (next.length !== value.length) onChange(next)
+    setActiveIndex(-1)
+  }
+
+  function remove(term) {
+    onChange(value.filter((item) => item !== term))
+  }
+
+  function handleChange(e) {
+    const parts = e.target.value.split(',')
+    if (parts.length > 1) add(parts.slice(0, -1))
+    setText(parts[parts.length - 1])
+    setActiveIndex(-1)
+    setOpen(true)
+  }
+
+  function handleKeyDown(e) {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setOpen(true)
+      setActiveIndex((prev) => Math.min(prev + 1, options.length - 1))
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActiveIndex((prev) => Math.max(prev - 1, 0))
+    } else if (e.key === 'Enter') {
+      e.preventDefault()
+      add([expanded && options[activeIndex] ? options[activeIndex] : text])
+      setText('')
+    } else if (e.key === 'Escape' && expanded) {
+      e.preventDefault()
+      e.stopPropagation()
+      setOpen(false)
+    } else if (e.key === 'Backspace' && !text && value.length) {
+      remove(value[value.length - 1])
+    }
+  }
+
+  return (
+    <div className="chips">
+      {value.length > 0 && (
+        <ul className="chip-list" aria-label={t('Selected symptoms')}>
+          {value.map((term) => (
+            <li key={term} className="chip">
+              {term}
+              <button
+                type="button"
+                className="chip-remove"
+                aria-label={t('Remove {symptom}', { symptom: term })}
+                onClick={() => remove(term)}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="picker">
+        <input
+          id={id}
+          role="combobox"
+          aria-expanded={expanded}
+          aria-controls={listId}
+          aria-autocomplete="list"
+          aria-activedescendant={expanded && activeIndex >= 0 ? `${listId}-${activeIndex}` : undefined}
+          aria-invalid={invalid || undefined}
+          aria-describedby={describedBy}
+          className={invalid ? 'invalid' : ''}
+          value={text}
+          onChange={handleChange}
+          onFocus={() => setOpen(true)}
+          onBlur={() => {
+            add([text])
+            setText('')
+            setOpen(false)
+          }}
+          onKeyDown={handleKeyDown}
+          placeholder={t('Type a symptom and press Enter')}
+        />
+        {expanded && (
+          <ul className="picker-list" id={listId} role="listbox" aria-label={t('Suggested symptoms')}>
+            {options.map((term, index) => (
+              <li
+                key={term}
+                id={`${listId}-${index}`}
+                role="option"
+                aria-selected={index === activeIndex}
+                className={`picker-option ${index === activeIndex ? 'active' : ''}`}
+                onMouseDown={(e) => e.preventDefault()}
+                onMouseEnter={() => setActiveIndex(index)}
+                onClick={() => {
+                  add([term])
+                  setText('')
+                }}
+              >
+                {term}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,51 @@
+import useI18n from '../hooks/useI18n.js'
+
+const LEVEL_LABELS = {
+  success: 'Success',
+  info: 'Info',
+  warning: 'Warning',
+  error: 'Error',
+}
+
+function Toast({ toast, onDismiss, onRetry }) {
+  const { t } = useI18n()
+
+  return (
+    <div className={`toast ${toast.level}`}>
+      <div className="toast-body">
+        <strong>{t(LEVEL_LABELS[toast.level])}</strong>
+        <span>{toast.message}</span>
+      </div>
+      <div className="toast-actions">
+        {toast.retry && (
+          <button type="button" className="link" onClick={() => onRetry(toast)}>
+            {t('Retry')}
+          </button>
+        )}
+        <button type="button" className="link" aria-label={t('Dismiss notification')} onClick={() => onDismiss(toast.id)}>
+          {t('Dismiss')}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default function ToastCenter({ toasts, onDismiss, onRetry }) {
+  const errors = toasts.filter((toast) => toast.level === 'error')
+  const others = toasts.filter((toast) => toast.level !== 'error')
+
+  return (
+    <div className="toast-center">
+      <div role="alert" aria-live="assertive" className="toast-stack">
+        {errors.map((toast) => (
+          <Toast key={toast.id} toast={toast} onDismiss={onDismiss} onRetry={onRetry} />
+        ))}
+      </div>
+      <div role="status" aria-live="polite" className="toast-stack">
+        {others.map((toast) => (
+          <Toast key={toast.id} toast={toast} onDismiss={onDismiss} onRetry={onRetry} />
+        ))}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,83 @@
+import useI18n from '../hooks/useI18n.js'
+import { handleGridKeyDown } from '../lib/a11y.js'
+
+const SORT_OPTIONS = [
+  { id: 'oldest', label: 'Oldest first' },
+  { id: 'newest', label: 'Newest first' },
+]
+
+function sortByCreated(items, order) {
+  const direction = order === 'newest' ? -1 : 1
+  return [...items].sort(
+    (a, b) => direction * (new Date(a.created_at || 0) - new Date(b.created_at || 0))
+  )
+}
+
+export default function TriageView({
+  items,
+  loading,
+  loadedAt,
+  sort,
+  queueing,
+  onSortChange,
+  onRefresh,
+  onSummariseAll,
+  renderCard,
+}) {
+  const { t, formatTime } = useI18n()
+  const urgent = sortByCreated(items.filter((item) => item.ai_summary?.requires_urgent_care), sort)
+  const pending = sortByCreated(items.filter((item) => !item.ai_summary), sort)
+  const locallyReviewed = items.some((item) => item.summary_local)
+
+  return (
+    <section className="card">
+      <div className="section-head">
+        <div>
+          <h2>{t('Triage')}</h2>
+          <div className="muted">
+            {loadedAt ? t('Updated {time}', { time: formatTime(loadedAt) }) : t('Not loaded yet')}
+          </div>
+        </div>
+        <div className="section-actions">
+          <select aria-label={t('Sort by')} value={sort} onChange={(e) => onSortChange(e.target.value)}>
+            {SORT_OPTIONS.map((option) => (
+              <option key={option.id} value={option.id}>{t(option.label)}</option>
+            ))}
+          </select>
+          <button type="button" onClick={onRefresh} disabled={loading}>
+            {loading ? t('Loading...') : t('Refresh')}
+          </button>
+          <button
+            type="button"
+            className="secondary"
+            onClick={() => onSummariseAll(pending.map((item) => item.id))}
+            disabled={pending.length === 0 || queueing}
+          >
+            {t('Summarise all pending ({count})', { count: pending.length })}
+          </button>
+        </div>
+      </div>
+
+      <h3>{t('Urgent care ({count})', { count: urgent.length })}</h3>
+      {locallyReviewed && (
+        <p className="review-local">
+          {t('Urgency uses summaries edited or reviewed in this browser where they exist. Other devices use the AI output.')}
+        </p>
+      )}
+      {urgent.length > 0 ? (
+        <div className="consultation-grid" onKeyDown={handleGridKeyDown}>{urgent.map(renderCard)}</div>
+      ) : (
+        <div className="empty" role="status">{loading ? t('Loading...') : t('No consultations flagged for urgent care.')}</div>
+      )}
+
+      <div className="divider" />
+
+      <h3>{t('Awaiting summary ({count})', { count: pending.length })}</h3>
+      {pending.length > 0 ? (
+        <div className="consultation-grid" onKeyDown={handleGridKeyDown}>{pending.map(renderCard)}</div>
+      ) : (
+        <div className="empty" role="status">{loading ? t('Loading...') : t('Every consultation has a summary.')}</div>
+      )}
+    </section>
+  )
+}
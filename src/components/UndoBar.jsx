@@ -0,0 +1,19 @@
+import useI18n from '../hooks/useI18n.js'
+
+export default function UndoBar({ items, onUndo }) {
+  const { t } = useI18n()
+  if (items.length === 0) return null
+
+  return (
+    <div className="undo-bar">
+      {items.map((item) => (
+        <div className="undo-item" key={item.key}>
+          <span>{item.label}</span>
+          <button type="button" className="link" onClick={() => onUndo(item.key)}>
+            {t('Undo')}
+          </button>
+        </div>
+      ))}
+    </div>
+  )
+}
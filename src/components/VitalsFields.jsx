@@ -0,0 +1,38 @@
+import FieldError from './FieldError.jsx'
+import useI18n from '../hooks/useI18n.js'
+import { fieldProps } from '../lib/a11y.js'
+import { VITALS } from '../lib/consultationEntry.js'
+
+export default function VitalsFields({ idPrefix, values, errors, onChange }) {
+  const { t } = useI18n()
+
+  return (
+    <fieldset className="vitals">
+      <legend>{t('Vitals (optional)')}</legend>
+      <div className="filter-grid">
+        {VITALS.map((vital) => {
+          const fieldId = `${idPrefix}-${vital.id}`
+          return (
+            <div key={vital.id} className="stack">
+              <label className="stack-label">
+                {`${t(vital.label)} (${vital.unit})`}
+                <input
+                  {...fieldProps(fieldId, errors[vital.id])}
+                  className={errors[vital.id] ? 'invalid' : ''}
+                  type="number"
+                  inputMode="decimal"
+                  min={vital.min}
+                  max={vital.max}
+                  step={vital.step}
+                  value={values[vital.id]}
+                  onChange={(e) => onChange(vital.id, e.target.value)}
+                />
+              </label>
+              <FieldError fieldId={fieldId} message={errors[vital.id]} />
+            </div>
+          )
+        })}
+      </div>
+    </fieldset>
+  )
+}
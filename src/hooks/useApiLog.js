@@ -0,0 +1,40 @@
+import { useRef, useState } from 'react'
+import { maskHeaders, maskSecrets } from '../lib/apiLog.js'
+
+const MAX_ENTRIES = 200
+
+export default function useApiLog() {
+  const [entries, setEntries] = useState([])
+  const nextIdRef = useRef(1)
+  const rawBodiesRef = useRef(new Map())
+
+  function record(entry, { keepRawBody = true } = {}) {
+    const id = nextIdRef.current
+    nextIdRef.current += 1
+    if (keepRawBody) rawBodiesRef.current.set(id, entry.requestBody)
+    rawBodiesRef.current.forEach((_, key) => {
+      if (key <= id - MAX_ENTRIES) rawBodiesRef.current.delete(key)
+    })
+    setEntries((prev) => [
+      {
+        ...entry,
+        id,
+        requestHeaders: maskHeaders(entry.requestHeaders),
+        requestBody: maskSecrets(entry.requestBody),
+        responseBody: maskSecrets(entry.responseBody),
+      },
+      ...prev,
+    ].slice(0, MAX_ENTRIES))
+  }
+
+  function requestBodyFor(entry) {
+    return rawBodiesRef.current.has(entry.id) ? rawBodiesRef.current.get(entry.id) : entry.requestBody
+  }
+
+  function clear() {
+    rawBodiesRef.current.clear()
+    setEntries([])
+  }
+
+  return { entries, record, requestBodyFor, clear }
+}
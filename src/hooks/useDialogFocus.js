@@ -0,0 +1,45 @@
+import { useEffect, useRef } from 'react'
+import { focusableElements } from '../lib/a11y.js'
+
+export default function useDialogFocus(ref, { onEscape, trap = true } = {}) {
+  const onEscapeRef = useRef(onEscape)
+  onEscapeRef.current = onEscape
+
+  useEffect(() => {
+    const container = ref.current
+    if (!container) return undefined
+    const previous = document.activeElement
+    const initial = container.querySelector('[data-autofocus]') || focusableElements(container)[0] || container
+    initial.focus()
+
+    function handleKeyDown(e) {
+      if (e.key === 'Escape' && onEscapeRef.current) {
+        e.preventDefault()
+        e.stopPropagation()
+        onEscapeRef.current()
+        return
+      }
+      if (e.key !== 'Tab' || !trap) return
+      const items = focusableElements(container)
+      if (items.length === 0) {
+        e.preventDefault()
+        return
+      }
+      const first = items[0]
+      const last = items[items.length - 1]
+      if (e.shiftKey && (document.activeElement === first || document.activeElement === container)) {
+        e.preventDefault()
+        last.focus()
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault()
+        first.focus()
+      }
+    }
+
+    container.addEventListener('keydown', handleKeyDown)
+    return () => {
+      container.removeEventListener('keydown', handleKeyDown)
+      if (previous instanceof HTMLElement && previous.isConnected) previous.focus()
+    }
+  }, [])
+}
@@ -0,0 +1,43 @@
+import { useEffect, useRef } from 'react'
+import { idbDelete, idbGet, idbPut } from '../lib/idb.js'
+
+const SAVE_DELAY = 500
+
+function isBlank(value) {
+  return Object.values(value).every((field) => String(field ?? '').trim() === '')
+}
+
+export default function useDraft(key, value, onRestore) {
+  const loadedKeyRef = useRef(null)
+  const onRestoreRef = useRef(onRestore)
+  onRestoreRef.current = onRestore
+
+  useEffect(() => {
+    let cancelled = false
+    loadedKeyRef.current = null
+    if (!key) return undefined
+    idbGet('drafts', key)
+      .then((draft) => {
+        if (cancelled) return
+        if (draft?.value && !isBlank(draft.value)) onRestoreRef.current(draft.value, draft.savedAt)
+      })
+      .catch(() => {})
+      .finally(() => {
+        if (!cancelled) loadedKeyRef.current = key
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [key])
+
+  useEffect(() => {
+    if (!key || loadedKeyRef.current !== key) return undefined
+    const timer = setTimeout(() => {
+      const save = isBlank(value)
+        ? idbDelete('drafts', key)
+        : idbPut('drafts', { key, value, savedAt: Date.now() })
+      save.catch(() => {})
+    }, SAVE_DELAY)
+    return () => clearTimeout(timer)
+  }, [key, value])
+}
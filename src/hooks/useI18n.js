@@ -0,0 +1,8 @@
+import { createContext, useContext } from 'react'
+import { createI18n } from '../lib/i18n.js'
+
+export const I18nContext = createContext(createI18n('en'))
+
+export default function useI18n() {
+  return useContext(I18nContext)
+}
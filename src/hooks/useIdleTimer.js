@@ -0,0 +1,45 @@
+import { useEffect, useRef } from 'react'
+
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart']
+const CHECK_INTERVAL = 5000
+const SHARE_THROTTLE = 15000
+
+export default function useIdleTimer({ enabled, timeoutMs, onIdle, onShareActivity }) {
+  const lastActivityRef = useRef(Date.now())
+  const lastSharedRef = useRef(0)
+  const onIdleRef = useRef(onIdle)
+  const onShareRef = useRef(onShareActivity)
+
+  onIdleRef.current = onIdle
+  onShareRef.current = onShareActivity
+
+  useEffect(() => {
+    if (!enabled || timeoutMs <= 0) return undefined
+    lastActivityRef.current = Date.now()
+
+    function handleActivity() {
+      const now = Date.now()
+      lastActivityRef.current = now
+      if (now - lastSharedRef.current > SHARE_THROTTLE) {
+        lastSharedRef.current = now
+        onShareRef.current?.(now)
+      }
+    }
+
+    ACTIVITY_EVENTS.forEach((name) => window.addEventListener(name, handleActivity, { passive: true }))
+    const timer = setInterval(() => {
+      if (Date.now() - lastActivityRef.current >= timeoutMs) onIdleRef.current()
+    }, CHECK_INTERVAL)
+
+    return () => {
+      ACTIVITY_EVENTS.forEach((name) => window.removeEventListener(name, handleActivity))
+      clearInterval(timer)
+    }
+  }, [enabled, timeoutMs])
+
+  function touch(at = Date.now()) {
+    lastActivityRef.current = Math.max(lastActivityRef.current, at)
+  }
+
+  return { touch }
+}
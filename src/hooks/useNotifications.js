@@ -0,0 +1,90 @@
+import { useEffect, useRef, useState } from 'react'
+
+const AUTO_DISMISS = { success: 4000, info: 5000, warning: 8000 }
+const MAX_VISIBLE = 5
+const MAX_HISTORY = 100
+
+function limitToasts(toasts) {
+  let transient = toasts.filter((toast) => toast.level !== 'error').length
+  return toasts.filter((toast) => {
+    if (toast.level === 'error' || transient <= MAX_VISIBLE) return true
+    transient -= 1
+    return false
+  })
+}
+
+export default function useNotifications() {
+  const [toasts, setToasts] = useState([])
+  const [history, setHistory] = useState([])
+  const timersRef = useRef(new Map())
+  const nextIdRef = useRef(1)
+  const toastsRef = useRef(toasts)
+
+  toastsRef.current = toasts
+
+  function clearTimer(id) {
+    clearTimeout(timersRef.current.get(id))
+    timersRef.current.delete(id)
+  }
+
+  function dismiss(id) {
+    clearTimer(id)
+    toastsRef.current = toastsRef.current.filter((toast) => toast.id !== id)
+    setToasts((prev) => prev.filter((toast) => toast.id !== id))
+  }
+
+  function notify(level, message, { retry, key } = {}) {
+    const id = nextIdRef.current
+    nextIdRef.current += 1
+    const toast = { id, level, message, retry, key, createdAt: Date.now() }
+
+    if (key) {
+      toastsRef.current
+        .filter((entry) => entry.key === key)
+        .forEach((entry) => dismiss(entry.id))
+    }
+    const next = limitToasts([...toastsRef.current, toast])
+    toastsRef.current
+      .filter((entry) => !next.includes(entry))
+      .forEach((entry) => clearTimer(entry.id))
+    toastsRef.current = next
+    setToasts(next)
+    setHistory((prev) => [{ id, level, message, createdAt: toast.createdAt }, ...prev].slice(0, MAX_HISTORY))
+
+    if (AUTO_DISMISS[level]) {
+      timersRef.current.set(id, setTimeout(() => dismiss(id), AUTO_DISMISS[level]))
+    }
+    return id
+  }
+
+  function runRetry(toast) {
+    dismiss(toast.id)
+    toast.retry()
+  }
+
+  function dismissAll() {
+    timersRef.current.forEach((timer) => clearTimeout(timer))
+    timersRef.current.clear()
+    toastsRef.current = []
+    setToasts([])
+  }
+
+  useEffect(() => () => {
+    timersRef.current.forEach((timer) => clearTimeout(timer))
+    timersRef.current.clear()
+  }, [])
+
+  return {
+    toasts,
+    history,
+    notify,
+    success: (message, options) => notify('success', message, options),
+    info: (message, options) => notify('info', message, options),
+    warning: (message, options) => notify('warning', message, options),
+    error: (message, options) => notify('error', message, options),
+    dismiss,
+    dismissAll,
+    runRetry,
+    clearHistory: () => setHistory([]),
+  }
+}
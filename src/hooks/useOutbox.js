@@ -0,0 +1,140 @@
+import { useEffect, useRef, useState } from 'react'
+import { idbDelete, idbGetAll, idbPut } from '../lib/idb.js'
+
+const RETRY_INTERVAL = 30000
+
+export function createClientKey() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID()
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+}
+
+export default function useOutbox(scope, submit, onSynced) {
+  const [items, setItems] = useState([])
+  const syncingRef = useRef(false)
+  const itemsRef = useRef(items)
+  const submitRef = useRef(submit)
+  const onSyncedRef = useRef(onSynced)
+  const scopeRef = useRef(scope)
+
+  itemsRef.current = items
+  submitRef.current = submit
+  onSyncedRef.current = onSynced
+
+  function save(item) {
+    setItems((prev) => {
+      const exists = prev.some((entry) => entry.key === item.key)
+      return exists ? prev.map((entry) => (entry.key === item.key ? item : entry)) : [...prev, item]
+    })
+    itemsRef.current = itemsRef.current.some((entry) => entry.key === item.key)
+      ? itemsRef.current.map((entry) => (entry.key === item.key ? item : entry))
+      : [...itemsRef.current, item]
+    if (item.scope) idbPut('outbox', item).catch(() => {})
+  }
+
+  function enqueue(payload, key = createClientKey()) {
+    const item = {
+      key,
+      scope,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      createdAt: Date.now(),
+      error: '',
+    }
+    save(item)
+    return item
+  }
+
+  async function sync() {
+    if (syncingRef.current || !navigator.onLine || !scopeRef.current) return
+    syncingRef.current = true
+    const syncScope = scopeRef.current
+    try {
+      const pending = itemsRef.current.filter((item) => item.status === 'pending')
+      for (const item of pending) {
+        if (scopeRef.current !== syncScope) break
+        const attempt = { ...item, attempts: item.attempts + 1 }
+        let next
+        let created = null
+        let unreachable = false
+        try {
+          const { ok, status, data, message } = await submitRef.current(item.payload, item.key, item)
+          if (ok) {
+            next = { ...attempt, status: 'synced', error: '', resultId: data?.id, syncedAt: Date.now() }
+            created = data
+          } else if (status >= 500) {
+            next = { ...attempt, error: message }
+          } else {
+            next = { ...attempt, status: 'failed', error: message }
+          }
+        } catch (error) {
+          next = { ...attempt, error: error.message }
+          unreachable = true
+        }
+        if (scopeRef.current !== syncScope) {
+          idbPut('outbox', next).catch(() => {})
+          break
+        }
+        save(next)
+        if (created) onSyncedRef.current?.(created)
+        if (unreachable) break
+      }
+    } finally {
+      syncingRef.current = false
+    }
+  }
+
+  function retry(key) {
+    const item = itemsRef.current.find((entry) => entry.key === key)
+    if (!item) return
+    save({ ...item, status: 'pending', error: '' })
+    sync()
+  }
+
+  function discard(key) {
+    setItems((prev) => prev.filter((entry) => entry.key !== key))
+    itemsRef.current = itemsRef.current.filter((entry) => entry.key !== key)
+    idbDelete('outbox', key).catch(() => {})
+  }
+
+  function clearSynced() {
+    itemsRef.current
+      .filter((item) => item.status === 'synced')
+      .forEach((item) => discard(item.key))
+  }
+
+  useEffect(() => {
+    let cancelled = false
+    scopeRef.current = scope
+    itemsRef.current = []
+    setItems([])
+    if (!scope) return undefined
+    idbGetAll('outbox')
+      .then((stored) => {
+        if (cancelled) return
+        const scoped = (stored || [])
+          .filter((item) => item.scope === scope)
+          .sort((a, b) => a.createdAt - b.createdAt)
+        itemsRef.current = scoped
+        setItems(scoped)
+        sync()
+      })
+      .catch(() => {})
+    return () => {
+      cancelled = true
+    }
+  }, [scope])
+
+  useEffect(() => {
+    window.addEventListener('online', sync)
+    const timer = setInterval(() => {
+      if (itemsRef.current.some((item) => item.status === 'pending')) sync()
+    }, RETRY_INTERVAL)
+    return () => {
+      window.removeEventListener('online', sync)
+      clearInterval(timer)
+    }
+  }, [])
+
+  return { items, enqueue, sync, retry, discard, clearSynced }
+}
@@ -0,0 +1,53 @@
+import { useRef, useState } from 'react'
+
+export default function usePatientDirectory(request) {
+  const [directory, setDirectory] = useState({})
+  const requestedRef = useRef(new Set())
+
+  function remember(list) {
+    const entries = list.filter((patient) => patient?.id != null)
+    if (entries.length === 0) return
+    setDirectory((prev) => {
+      const next = { ...prev }
+      entries.forEach((patient) => {
+        next[patient.id] = patient
+      })
+      return next
+    })
+  }
+
+  function forget(id) {
+    requestedRef.current.delete(String(id))
+    setDirectory((prev) => {
+      const next = { ...prev }
+      delete next[id]
+      return next
+    })
+  }
+
+  async function fetchPatient(id, { silent = false } = {}) {
+    requestedRef.current.add(String(id))
+    const { ok, data } = await request('GET', `/patients/${id}/`, undefined, { silent })
+    if (ok && data?.id != null) {
+      remember([data])
+      return data
+    }
+    requestedRef.current.delete(String(id))
+    return null
+  }
+
+  function ensure(ids) {
+    const known = ids.filter((id) => id !== undefined && id !== null && id !== '').map(String)
+    const missing = [...new Set(known)].filter(
+      (id) => !directory[id] && !requestedRef.current.has(id)
+    )
+    missing.forEach(fetchPatient)
+  }
+
+  function clear() {
+    requestedRef.current.clear()
+    setDirectory({})
+  }
+
+  return { directory, remember, forget, fetchPatient, ensure, clear }
+}
@@ -0,0 +1,27 @@
+import { useEffect, useRef } from 'react'
+import { actionForKey, isTypingTarget } from '../lib/shortcuts.js'
+
+export default function useShortcuts(shortcuts, handlers) {
+  const latestRef = useRef({ shortcuts, handlers })
+  latestRef.current = { shortcuts, handlers }
+
+  useEffect(() => {
+    function handleKeyDown(e) {
+      const { shortcuts: keys, handlers: actions } = latestRef.current
+      if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+        e.preventDefault()
+        actions.palette?.()
+        return
+      }
+      if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || e.repeat) return
+      if (isTypingTarget(e.target) || document.querySelector('[aria-modal="true"]')) return
+      const action = actionForKey(keys, e.key)
+      if (!action || !actions[action]) return
+      e.preventDefault()
+      actions[action]()
+    }
+
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [])
+}
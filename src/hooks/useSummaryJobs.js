@@ -0,0 +1,141 @@
+import { useEffect, useRef, useState } from 'react'
+
+const INITIAL_DELAY = 2000
+const MAX_DELAY = 30000
+const MAX_DURATION = 5 * 60 * 1000
+
+const PENDING_STATUSES = ['processing', 'pending', 'queued', 'started']
+const FAILED_STATUSES = ['failed', 'failure', 'error']
+
+function summaryJobDelay(attempt) {
+  return Math.min(INITIAL_DELAY * 2 ** attempt, MAX_DELAY)
+}
+
+export default function useSummaryJobs(request, onDone) {
+  const [jobs, setJobs] = useState({})
+  const timersRef = useRef(new Map())
+  const generationsRef = useRef(new Map())
+  const nextGenerationRef = useRef(1)
+  const requestRef = useRef(request)
+  const onDoneRef = useRef(onDone)
+
+  requestRef.current = request
+  onDoneRef.current = onDone
+
+  function updateJob(id, patch) {
+    setJobs((prev) => (prev[id] ? { ...prev, [id]: { ...prev[id], ...patch } } : prev))
+  }
+
+  function clearTimer(id) {
+    const timer = timersRef.current.get(id)
+    if (timer) {
+      clearTimeout(timer)
+      timersRef.current.delete(id)
+    }
+  }
+
+  function isCurrent(id, generation) {
+    return generationsRef.current.get(id) === generation
+  }
+
+  function schedule(id, attempt, startedAt, generation) {
+    clearTimer(id)
+    if (!isCurrent(id, generation)) return
+    const timer = setTimeout(() => poll(id, attempt, startedAt, generation), summaryJobDelay(attempt))
+    timersRef.current.set(id, timer)
+  }
+
+  async function poll(id, attempt, startedAt, generation) {
+    timersRef.current.delete(id)
+    let result
+    try {
+      result = await requestRef.current('GET', `/consultations/${id}/summary_status/`)
+    } catch {
+      result = { ok: false, data: null }
+    }
+    if (!isCurrent(id, generation)) return
+    const { ok, data } = result
+    const status = String(data?.status || '').toLowerCase()
+
+    if (ok && FAILED_STATUSES.includes(status)) {
+      generationsRef.current.delete(id)
+      updateJob(id, {
+        status: 'failed',
+        message: data?.error || data?.detail || 'Summary generation failed.',
+        finishedAt: Date.now(),
+      })
+      return
+    }
+
+    if (ok && status && !PENDING_STATUSES.includes(status)) {
+      generationsRef.current.delete(id)
+      updateJob(id, { status: 'done', message: 'Summary ready.', finishedAt: Date.now() })
+      onDoneRef.current?.(id)
+      return
+    }
+
+    if (Date.now() - startedAt >= MAX_DURATION) {
+      generationsRef.current.delete(id)
+      updateJob(id, {
+        status: 'failed',
+        message: 'Timed out waiting for the summary.',
+        finishedAt: Date.now(),
+      })
+      return
+    }
+
+    updateJob(id, { attempts: attempt + 1 })
+    schedule(id, attempt + 1, startedAt, generation)
+  }
+
+  function track(id) {
+    const startedAt = Date.now()
+    const generation = nextGenerationRef.current
+    nextGenerationRef.current += 1
+    generationsRef.current.set(id, generation)
+    setJobs((prev) => ({
+      ...prev,
+      [id]: { id, status: 'processing', message: 'Generating summary...', attempts: 0, startedAt },
+    }))
+    schedule(id, 0, startedAt, generation)
+  }
+
+  function dismiss(id) {
+    clearTimer(id)
+    generationsRef.current.delete(id)
+    setJobs((prev) => {
+      const next = { ...prev }
+      delete next[id]
+      return next
+    })
+  }
+
+  function clearFinished() {
+    setJobs((prev) =>
+      Object.fromEntries(Object.entries(prev).filter(([, job]) => job.status === 'processing'))
+    )
+  }
+
+  function stopAll() {
+    timersRef.current.forEach((timer) => clearTimeout(timer))
+    timersRef.current.clear()
+    generationsRef.current.clear()
+    setJobs({})
+  }
+
+  useEffect(() => () => {
+    timersRef.current.forEach((timer) => clearTimeout(timer))
+    timersRef.current.clear()
+    generationsRef.current.clear()
+  }, [])
+
+  return {
+    jobs,
+    jobList: Object.values(jobs).sort((a, b) => b.startedAt - a.startedAt),
+    isProcessing: (id) => jobs[id]?.status === 'processing',
+    track,
+    dismiss,
+    clearFinished,
+    stopAll,
+  }
+}
@@ -0,0 +1,86 @@
+import { useEffect, useRef, useState } from 'react'
+import { idbDelete, idbGetAll, idbPut } from '../lib/idb.js'
+import {
+  emptyReviewRecord,
+  recordAiSummary,
+  recordClinicianEdit,
+  recordReview,
+} from '../lib/summaryReview.js'
+
+export default function useSummaryReviews(scope, reviewer) {
+  const [records, setRecords] = useState({})
+  const [loaded, setLoaded] = useState(false)
+  const recordsRef = useRef(records)
+
+  function save(record) {
+    if (!scope) return
+    recordsRef.current = { ...recordsRef.current, [record.consultationId]: record }
+    setRecords(recordsRef.current)
+    idbPut('summaryReviews', record).catch(() => {})
+  }
+
+  function recordFor(consultationId) {
+    return recordsRef.current[String(consultationId)] || emptyReviewRecord(scope, consultationId)
+  }
+
+  function sync(items) {
+    if (!loaded) return
+    items.forEach((item) => {
+      if (!item?.ai_summary) return
+      const record = recordFor(item.id)
+      const next = recordAiSummary(record, item.ai_summary)
+      if (next !== record) save(next)
+    })
+  }
+
+  function edit(consultationId, summary) {
+    save(recordClinicianEdit(recordFor(consultationId), summary, reviewer))
+  }
+
+  function review(consultationId, status, note) {
+    save(recordReview(recordFor(consultationId), status, note, reviewer))
+  }
+
+  function remove(consultationId) {
+    const record = recordsRef.current[String(consultationId)]
+    if (!record) return
+    const { [record.consultationId]: _, ...rest } = recordsRef.current
+    recordsRef.current = rest
+    setRecords(rest)
+    idbDelete('summaryReviews', record.key).catch(() => {})
+  }
+
+  useEffect(() => {
+    let cancelled = false
+    setLoaded(false)
+    recordsRef.current = {}
+    setRecords({})
+    if (!scope) return undefined
+    idbGetAll('summaryReviews')
+      .then((stored) => {
+        if (cancelled) return
+        const scoped = Object.fromEntries(
+          (stored || []).filter((record) => record.scope === scope).map((record) => [record.consultationId, record])
+        )
+        recordsRef.current = scoped
+        setRecords(scoped)
+      })
+      .catch(() => {})
+      .finally(() => {
+        if (!cancelled) setLoaded(true)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [scope])
+
+  return {
+    records,
+    loaded,
+    recordFor: (consultationId) => records[String(consultationId)] || null,
+    sync,
+    edit,
+    review,
+    remove,
+  }
+}
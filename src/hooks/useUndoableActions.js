@@ -0,0 +1,50 @@
+import { useEffect, useRef, useState } from 'react'
+
+const UNDO_DELAY = 6000
+
+export default function useUndoableActions(delay = UNDO_DELAY) {
+  const [pending, setPending] = useState([])
+  const actionsRef = useRef(new Map())
+
+  function remove(key) {
+    actionsRef.current.delete(key)
+    setPending((prev) => prev.filter((item) => item.key !== key))
+  }
+
+  async function commit(key) {
+    const action = actionsRef.current.get(key)
+    if (!action) return
+    clearTimeout(action.timer)
+    remove(key)
+    const result = await action.commit()
+    if (!result?.ok) action.restore()
+  }
+
+  function schedule({ key, label, commit: run, restore }) {
+    if (actionsRef.current.has(key)) return
+    const timer = setTimeout(() => commit(key), delay)
+    actionsRef.current.set(key, { timer, commit: run, restore })
+    setPending((prev) => [...prev, { key, label }])
+  }
+
+  function undo(key) {
+    const action = actionsRef.current.get(key)
+    if (!action) return
+    clearTimeout(action.timer)
+    remove(key)
+    action.restore()
+  }
+
+  function commitAll() {
+    actionsRef.current.forEach((action) => {
+      clearTimeout(action.timer)
+      action.commit()
+    })
+    actionsRef.current.clear()
+    setPending([])
+  }
+
+  useEffect(() => () => commitAll(), [])
+
+  return { pending, schedule, undo, commit, commitAll }
+}
@@ -0,0 +1,54 @@
+const FOCUSABLE = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])',
+].join(', ')
+
+export function errorId(fieldId) {
+  return `${fieldId}-error`
+}
+
+export function fieldProps(fieldId, error) {
+  return {
+    id: fieldId,
+    'aria-invalid': error ? true : undefined,
+    'aria-describedby': error ? errorId(fieldId) : undefined,
+  }
+}
+
+export function focusableElements(container) {
+  return Array.from(container.querySelectorAll(FOCUSABLE)).filter((element) => element.offsetParent !== null)
+}
+
+function columnCount(items) {
+  const top = items[0].offsetTop
+  const index = items.findIndex((item) => item.offsetTop !== top)
+  return index === -1 ? items.length : index
+}
+
+export function handleGridKeyDown(e) {
+  const items = Array.from(e.currentTarget.children).filter((element) => element.tabIndex >= 0)
+  const index = items.indexOf(e.target)
+  if (index === -1) return
+
+  const columns = columnCount(items)
+  const forward = getComputedStyle(e.currentTarget).direction === 'rtl' ? -1 : 1
+  const steps = { ArrowRight: forward, ArrowLeft: -forward, ArrowDown: columns, ArrowUp: -columns }
+  let next
+  if (e.key in steps) next = index + steps[e.key]
+  else if (e.key === 'Home') next = 0
+  else if (e.key === 'End') next = items.length - 1
+  else return
+
+  e.preventDefault()
+  items[Math.min(items.length - 1, Math.max(0, next))].focus()
+}
+
+export function handleCardKeyDown(e, onOpen) {
+  if (e.target !== e.currentTarget || e.key !== 'Enter') return
+  e.preventDefault()
+  onOpen()
+}
@@ -0,0 +1,46 @@
+const MASK = '••••••'
+const SECRET_FIELDS = ['password', 'access', 'refresh']
+
+export function maskHeaders(headers) {
+  return Object.fromEntries(
+    Object.entries(headers || {}).map(([key, value]) =>
+      key.toLowerCase() === 'authorization' ? [key, String(value).replace(/\s.+$/, ` ${MASK}`)] : [key, value]
+    )
+  )
+}
+
+export function maskSecrets(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return body
+  return Object.fromEntries(
+    Object.entries(body).map(([key, value]) => [key, SECRET_FIELDS.includes(key) && value ? MASK : value])
+  )
+}
+
+export function prettyBody(body) {
+  if (body === undefined || body === null || body === '') return ''
+  if (typeof body === 'string') return body
+  return JSON.stringify(body, null, 2)
+}
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`
+}
+
+export function toCurl(entry) {
+  const parts = [`curl -X ${entry.method} ${shellQuote(entry.url)}`]
+  Object.entries(entry.requestHeaders || {}).forEach(([key, value]) => {
+    const header = key.toLowerCase() === 'authorization'
+      ? `${key}: Bearer $ACCESS_TOKEN`
+      : `${key}: ${value}`
+    parts.push(`-H ${key.toLowerCase() === 'authorization' ? `"${header}"` : shellQuote(header)}`)
+  })
+  if (entry.requestBody !== undefined) {
+    parts.push(`--data ${shellQuote(JSON.stringify(entry.requestBody))}`)
+  }
+  return parts.join(' \\\n  ')
+}
+
+export function statusGroup(entry) {
+  if (!entry.status) return 'error'
+  return `${String(entry.status)[0]}xx`
+}
@@ -0,0 +1,229 @@
+export const CONSULTATION_TEMPLATES = [
+  {
+    id: 'general',
+    label: 'General',
+    symptoms: ['fever', 'fatigue', 'headache'],
+    sections: {
+      history: 'Onset:\nDuration:\nSeverity:\nAggravating or relieving factors:',
+      examination: 'General appearance:',
+    },
+  },
+  {
+    id: 'respiratory',
+    label: 'Respiratory',
+    symptoms: ['cough', 'shortness of breath', 'sore throat', 'wheezing', 'chest pain'],
+    sections: {
+      history: 'Onset:\nCough (dry or productive):\nSputum:\nSmoking history:',
+      examination: 'Respiratory rate:\nChest auscultation:\nThroat:',
+    },
+  },
+  {
+    id: 'follow-up',
+    label: 'Follow-up',
+    symptoms: [],
+    sections: {
+      complaint: 'Follow-up visit',
+      history: 'Reason for follow-up:\nProgress since last visit:\nMedication adherence:\nSide effects:',
+      plan: 'Next review:',
+    },
+  },
+  {
+    id: 'injury',
+    label: 'Injury',
+    symptoms: ['pain', 'swelling', 'bruising', 'reduced range of motion'],
+    sections: {
+      history: 'Mechanism of injury:\nTime of injury:\nPain score (0-10):',
+      examination: 'Site:\nSwelling:\nRange of motion:\nNeurovascular status:',
+    },
+  },
+]
+
+export const VITALS = [
+  {
+    id: 'temperature',
+    label: 'Temperature',
+    unit: '°C',
+    min: 30,
+    max: 45,
+    step: '0.1',
+    error: 'Enter a temperature between 30 and 45 °C.',
+  },
+  {
+    id: 'systolic',
+    label: 'Systolic BP',
+    unit: 'mmHg',
+    min: 50,
+    max: 260,
+    step: '1',
+    error: 'Enter a systolic pressure between 50 and 260 mmHg.',
+  },
+  {
+    id: 'diastolic',
+    label: 'Diastolic BP',
+    unit: 'mmHg',
+    min: 30,
+    max: 160,
+    step: '1',
+    error: 'Enter a diastolic pressure between 30 and 160 mmHg.',
+  },
+  {
+    id: 'heart_rate',
+    label: 'Heart rate',
+    unit: 'bpm',
+    min: 20,
+    max: 250,
+    step: '1',
+    error: 'Enter a heart rate between 20 and 250 bpm.',
+  },
+  {
+    id: 'spo2',
+    label: 'SpO2',
+    unit: '%',
+    min: 50,
+    max: 100,
+    step: '1',
+    error: 'Enter an SpO2 between 50 and 100%.',
+  },
+]
+
+const SECTIONS = ['complaint', 'history', 'examination', 'assessment', 'plan']
+
+export const EMPTY_CONSULTATION_ENTRY = {
+  patient: '',
+  template: '',
+  complaint: '',
+  symptom_tags: [],
+  history: '',
+  examination: '',
+  temperature: '',
+  systolic: '',
+  diastolic: '',
+  heart_rate: '',
+  spo2: '',
+  assessment: '',
+  plan: '',
+}
+
+const ERROR_KEYS = {
+  complaint: ['symptoms'],
+  symptom_tags: ['symptoms'],
+  history: ['symptoms'],
+  examination: ['symptoms'],
+  assessment: ['diagnosis'],
+  systolic: ['systolic', 'diastolic'],
+  diastolic: ['systolic', 'diastolic'],
+}
+
+export function errorKeysFor(field) {
+  return ERROR_KEYS[field] || [field]
+}
+
+export function newConsultationEntry(patient = '') {
+  return { ...EMPTY_CONSULTATION_ENTRY, patient: patient ? String(patient) : '' }
+}
+
+export function findTemplate(id) {
+  return CONSULTATION_TEMPLATES.find((template) => template.id === id) || null
+}
+
+function cleanSection(entry, field) {
+  const prompts = new Set(
+    String(findTemplate(entry.template)?.sections[field] || '').split('\n').filter((line) => line.endsWith(':'))
+  )
+  return String(entry[field] ?? '')
+    .split('\n')
+    .map((line) => line.trimEnd())
+    .filter((line) => line.trim() && !prompts.has(line.trim()))
+    .join('\n')
+    .trim()
+}
+
+function labelled(label, text) {
+  if (!text) return ''
+  return text.includes('\n') ? `${label}:\n${text}` : `${label}: ${text}`
+}
+
+function vitalValue(entry, id) {
+  return String(entry[id] ?? '').trim()
+}
+
+export function isEntryUntouched(entry) {
+  const template = findTemplate(entry.template)
+  return SECTIONS.every((field) => String(entry[field] ?? '') === (template?.sections[field] || ''))
+}
+
+export function applyTemplate(entry, template) {
+  const sections = Object.fromEntries(SECTIONS.map((field) => [field, template.sections[field] || '']))
+  return { ...entry, ...sections, template: template.id }
+}
+
+export function restoreEntry(value) {
+  const entry = { ...EMPTY_CONSULTATION_ENTRY }
+  Object.keys(EMPTY_CONSULTATION_ENTRY).forEach((field) => {
+    if (field in value) entry[field] = value[field]
+  })
+  if (!Array.isArray(entry.symptom_tags)) entry.symptom_tags = []
+  if (typeof value.symptoms === 'string' && !entry.history) entry.history = value.symptoms
+  if (typeof value.diagnosis === 'string' && !entry.assessment) entry.assessment = value.diagnosis
+  return entry
+}
+
+export function isEntryBlank(entry) {
+  return entry.symptom_tags.length === 0
+    && SECTIONS.every((field) => !cleanSection(entry, field))
+    && VITALS.every((vital) => !vitalValue(entry, vital.id))
+}
+
+export function hasSymptoms(entry) {
+  return entry.symptom_tags.length > 0
+    || ['complaint', 'history', 'examination'].some((field) => cleanSection(entry, field))
+}
+
+export function formatVitals(entry) {
+  const temperature = vitalValue(entry, 'temperature')
+  const systolic = vitalValue(entry, 'systolic')
+  const diastolic = vitalValue(entry, 'diastolic')
+  const heartRate = vitalValue(entry, 'heart_rate')
+  const spo2 = vitalValue(entry, 'spo2')
+  return [
+    temperature && `Temperature ${temperature} °C`,
+    systolic && diastolic && `BP ${systolic}/${diastolic} mmHg`,
+    heartRate && `Heart rate ${heartRate} bpm`,
+    spo2 && `SpO2 ${spo2}%`,
+  ].filter(Boolean).join(', ')
+}
+
+export function serializeConsultation(entry) {
+  return {
+    patient: entry.patient,
+    symptoms: [
+      labelled('Presenting complaint', cleanSection(entry, 'complaint')),
+      labelled('Symptoms', entry.symptom_tags.join(', ')),
+      labelled('History', cleanSection(entry, 'history')),
+      labelled('Examination', cleanSection(entry, 'examination')),
+      labelled('Vitals', formatVitals(entry)),
+    ].filter(Boolean).join('\n'),
+    diagnosis: [
+      labelled('Assessment', cleanSection(entry, 'assessment')),
+      labelled('Plan', cleanSection(entry, 'plan')),
+    ].filter(Boolean).join('\n'),
+  }
+}
+
+export function validateVitals(entry) {
+  const errors = {}
+  VITALS.forEach((vital) => {
+    const value = vitalValue(entry, vital.id)
+    if (!value) return
+    const number = Number(value)
+    if (!Number.isFinite(number) || number < vital.min || number > vital.max) errors[vital.id] = vital.error
+  })
+  const systolic = vitalValue(entry, 'systolic')
+  const diastolic = vitalValue(entry, 'diastolic')
+  if (systolic && !diastolic && !errors.systolic) errors.diastolic = 'Enter both systolic and diastolic pressure.'
+  if (diastolic && !systolic && !errors.diastolic) errors.systolic = 'Enter both systolic and diastolic pressure.'
+  if (!errors.systolic && !errors.diastolic && systolic && diastolic && Number(diastolic) >= Number(systolic)) {
+    errors.diastolic = 'Diastolic pressure must be lower than systolic.'
+  }
+  return errors
+}
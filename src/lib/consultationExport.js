@@ -0,0 +1,52 @@
+export function flattenConsultation(item, patient) {
+  const summary = item.ai_summary || {}
+  return {
+    id: item.id,
+    patient_id: item.patient,
+    patient_name: patient?.full_name ?? '',
+    created_at: item.created_at ?? '',
+    symptoms: item.symptoms ?? '',
+    diagnosis: item.diagnosis ?? '',
+    brief_summary: summary.brief_summary ?? '',
+    key_symptoms: summary.key_symptoms ?? [],
+    requires_urgent_care: summary.requires_urgent_care ?? null,
+    suggested_treatment_plan: summary.suggested_treatment_plan ?? '',
+    summary_status: item.summary_status ?? '',
+    summary_reviewed_locally: Boolean(item.summary_local),
+    summary_reviewed_by: item.summary_local?.by ?? '',
+    summary_reviewed_at: item.summary_local?.at ? new Date(item.summary_local.at).toISOString() : '',
+  }
+}
+
+export const CONSULTATION_CSV_COLUMNS = [
+  'id',
+  'patient_id',
+  'patient_name',
+  'created_at',
+  'symptoms',
+  'diagnosis',
+  'brief_summary',
+  'key_symptoms',
+  'requires_urgent_care',
+  'suggested_treatment_plan',
+  'summary_status',
+  'summary_reviewed_locally',
+  'summary_reviewed_by',
+  'summary_reviewed_at',
+].map((key) => ({
+  label: key,
+  value: (row) => {
+    if (key === 'key_symptoms') return row.key_symptoms.join('; ')
+    if (key === 'requires_urgent_care') return row.requires_urgent_care === null ? '' : String(row.requires_urgent_care)
+    if (key === 'summary_reviewed_locally') return String(row.summary_reviewed_locally)
+    return row[key]
+  },
+}))
+
+export function exportFileName(filters, extension) {
+  const parts = ['consultations']
+  if (filters.patient_id) parts.push(`patient-${filters.patient_id}`)
+  if (filters.created_at_from) parts.push(`from-${filters.created_at_from}`)
+  if (filters.created_at_to) parts.push(`to-${filters.created_at_to}`)
+  return `${parts.join('_')}.${extension}`
+}
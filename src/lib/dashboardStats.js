@@ -0,0 +1,102 @@
+const DAY_MS = 86400000
+
+export const AGE_GROUPS = [
+  { label: '0-17', min: 0, max: 17 },
+  { label: '18-29', min: 18, max: 29 },
+  { label: '30-44', min: 30, max: 44 },
+  { label: '45-64', min: 45, max: 64 },
+  { label: '65+', min: 65, max: 120 },
+]
+
+export function toDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${date.getFullYear()}-${month}-${day}`
+}
+
+function parseDateKey(key) {
+  const [year, month, day] = key.split('-').map(Number)
+  return new Date(year, month - 1, day)
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days)
+}
+
+function startOfWeek(date) {
+  return addDays(date, -((date.getDay() + 6) % 7))
+}
+
+function isDateKey(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !Number.isNaN(parseDateKey(value).getTime())
+}
+
+export function resolveRange(range, today = new Date()) {
+  const to = isDateKey(range.to) ? range.to : toDateKey(today)
+  const from = isDateKey(range.from) ? range.from : toDateKey(addDays(parseDateKey(to), -29))
+  const days = Math.round((parseDateKey(to) - parseDateKey(from)) / DAY_MS) + 1
+  const interval = ['day', 'week'].includes(range.interval) ? range.interval : days > 60 ? 'week' : 'day'
+  return from <= to ? { from, to, interval } : { from: to, to: from, interval }
+}
+
+export function presetRange(days, today = new Date()) {
+  return { from: toDateKey(addDays(today, -(days - 1))), to: toDateKey(today), interval: '' }
+}
+
+export function bucketByDate(items, field, { from, to, interval }) {
+  const buckets = []
+  const end = parseDateKey(to)
+  let start = parseDateKey(from)
+  if (interval === 'week') start = startOfWeek(start)
+  while (start <= end) {
+    const next = addDays(start, interval === 'week' ? 7 : 1)
+    const bucketFrom = toDateKey(start) < from ? from : toDateKey(start)
+    const lastDay = toDateKey(addDays(next, -1))
+    buckets.push({
+      key: toDateKey(start),
+      label: interval === 'week' ? `Wk ${bucketFrom.slice(5)}` : bucketFrom.slice(5),
+      from: bucketFrom,
+      to: lastDay > to ? to : lastDay,
+      value: 0,
+    })
+    start = next
+  }
+
+  items.forEach((item) => {
+    const value = item[field]
+    if (!value) return
+    const key = toDateKey(new Date(value))
+    const bucket = buckets.find((entry) => key >= entry.from && key <= entry.to)
+    if (bucket) bucket.value += 1
+  })
+  return buckets
+}
+
+export function ageInYears(dateOfBirth, today = new Date()) {
+  if (!isDateKey(dateOfBirth)) return null
+  const birth = parseDateKey(dateOfBirth)
+  let age = today.getFullYear() - birth.getFullYear()
+  if (today.getMonth() < birth.getMonth() || (today.getMonth() === birth.getMonth() && today.getDate() < birth.getDate())) {
+    age -= 1
+  }
+  return age
+}
+
+export function ageDistribution(patients, today = new Date()) {
+  return AGE_GROUPS.map((group) => ({
+    key: group.label,
+    label: group.label,
+    dateOfBirthFrom: toDateKey(new Date(today.getFullYear() - group.max - 1, today.getMonth(), today.getDate() + 1)),
+    dateOfBirthTo: toDateKey(new Date(today.getFullYear() - group.min, today.getMonth(), today.getDate())),
+    value: patients.filter((patient) => {
+      const age = ageInYears(patient.date_of_birth, today)
+      return age !== null && age >= group.min && age <= group.max
+    }).length,
+  }))
+}
+
+export function inRange(value, { from, to }) {
+  if (!value) return false
+  const key = toDateKey(new Date(value))
+  return key >= from && key <= to
+}
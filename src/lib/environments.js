@@ -0,0 +1,93 @@
+const STORAGE_KEY = 'api_environments'
+const ACTIVE_KEY = 'api_environment'
+const HEALTH_TIMEOUT_MS = 5000
+
+export const DEFAULT_ENVIRONMENT_ID = 'default'
+export const MOCK_ENVIRONMENT_ID = 'mock'
+const MOCK_AVAILABLE = import.meta.env.DEV || import.meta.env.VITE_USE_MOCK === 'true'
+
+export const DEFAULT_ENVIRONMENT = {
+  id: DEFAULT_ENVIRONMENT_ID,
+  name: import.meta.env.VITE_API_NAME || 'Default',
+  baseUrl: normalizeBaseUrl(import.meta.env.VITE_API_BASE || 'http://127.0.0.1:8000'),
+  idempotencyKeys: import.meta.env.VITE_IDEMPOTENCY_KEYS === 'true',
+  builtIn: true,
+}
+
+export const MOCK_ENVIRONMENT = {
+  id: MOCK_ENVIRONMENT_ID,
+  name: 'Mock backend',
+  baseUrl: 'mock://local',
+  idempotencyKeys: true,
+  builtIn: true,
+  mock: true,
+}
+
+export function normalizeBaseUrl(url) {
+  return String(url || '').trim().replace(/\/+$/, '')
+}
+
+export function isValidBaseUrl(url) {
+  try {
+    const parsed = new URL(url)
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:'
+  } catch {
+    return false
+  }
+}
+
+export function loadEnvironments() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]')
+    const custom = Array.isArray(stored) ? stored.filter((env) => env?.id && env.baseUrl) : []
+    return [...builtInEnvironments(), ...custom]
+  } catch {
+    return builtInEnvironments()
+  }
+}
+
+function builtInEnvironments() {
+  return MOCK_AVAILABLE ? [DEFAULT_ENVIRONMENT, MOCK_ENVIRONMENT] : [DEFAULT_ENVIRONMENT]
+}
+
+export function saveEnvironments(environments) {
+  const custom = environments
+    .filter((env) => !env.builtIn)
+    .map(({ id, name, baseUrl, idempotencyKeys }) => ({ id, name, baseUrl, idempotencyKeys: Boolean(idempotencyKeys) }))
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(custom))
+}
+
+export function loadActiveEnvironmentId() {
+  const fallback = import.meta.env.VITE_USE_MOCK === 'true' ? MOCK_ENVIRONMENT_ID : DEFAULT_ENVIRONMENT_ID
+  const stored = localStorage.getItem(ACTIVE_KEY)
+  if (stored === MOCK_ENVIRONMENT_ID && !MOCK_AVAILABLE) return fallback
+  return stored || fallback
+}
+
+export function saveActiveEnvironmentId(id) {
+  localStorage.setItem(ACTIVE_KEY, id)
+}
+
+export function createEnvironmentId(name) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'env'
+  return `${slug}-${Date.now().toString(36)}`
+}
+
+export async function checkHealth(baseUrl) {
+  if (baseUrl === MOCK_ENVIRONMENT.baseUrl) return { status: 'ok', latency: 0 }
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), HEALTH_TIMEOUT_MS)
+  const startedAt = Date.now()
+  try {
+    await fetch(`${baseUrl}/`, { method: 'GET', mode: 'no-cors', signal: controller.signal })
+    return { status: 'ok', latency: Date.now() - startedAt }
+  } catch (error) {
+    return {
+      status: 'down',
+      error: error.name === 'AbortError' ? 'Timed out' : error.message,
+      latency: Date.now() - startedAt,
+    }
+  } finally {
+    clearTimeout(timer)
+  }
+}
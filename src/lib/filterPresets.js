@@ -0,0 +1,34 @@
+const PRESETS_KEY = 'filter_presets'
+const LAST_FILTERS_KEY = 'last_filters'
+
+function readJson(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key) || 'null') ?? fallback
+  } catch {
+    return fallback
+  }
+}
+
+export function loadFilterPresets() {
+  const stored = readJson(PRESETS_KEY, [])
+  return Array.isArray(stored) ? stored : []
+}
+
+export function saveFilterPresets(presets) {
+  localStorage.setItem(PRESETS_KEY, JSON.stringify(presets))
+}
+
+export function createPreset(name, scope, filters) {
+  return { id: `${scope}-${Date.now().toString(36)}`, name: name.trim(), scope, filters }
+}
+
+export function loadLastFilters(defaults) {
+  const stored = readJson(LAST_FILTERS_KEY, {})
+  return Object.fromEntries(
+    Object.entries(defaults).map(([scope, empty]) => [scope, { ...empty, ...(stored[scope] || {}) }])
+  )
+}
+
+export function saveLastFilters(filters) {
+  localStorage.setItem(LAST_FILTERS_KEY, JSON.stringify(filters))
+}
@@ -0,0 +1,41 @@
+import { ageInYears } from './dashboardStats.js'
+
+export function parseDateValue(value) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ''))
+  const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(value)
+  return Number.isNaN(date.getTime()) ? null : date
+}
+
+function formatWith(value, locale, options) {
+  if (!value && value !== 0) return '-'
+  const date = parseDateValue(value)
+  if (!date) return String(value)
+  return new Intl.DateTimeFormat(locale, options).format(date)
+}
+
+export function formatDate(value, locale) {
+  return formatWith(value, locale, { dateStyle: 'medium' })
+}
+
+export function formatShortDate(value, locale) {
+  return formatWith(value, locale, { month: 'short', day: 'numeric' })
+}
+
+export function formatDateTime(value, locale) {
+  return formatWith(value, locale, { dateStyle: 'medium', timeStyle: 'short' })
+}
+
+export function formatTime(value, locale) {
+  return formatWith(value, locale, { timeStyle: 'medium' })
+}
+
+export function formatNumber(value, locale, options) {
+  return new Intl.NumberFormat(locale, options).format(value)
+}
+
+export function formatAge(dateOfBirth, locale, today = new Date()) {
+  const age = ageInYears(dateOfBirth, today)
+  if (age === null || age < 0) return ''
+  return formatNumber(age, locale, { style: 'unit', unit: 'year', unitDisplay: 'long' })
+}
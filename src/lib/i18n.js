@@ -0,0 +1,63 @@
+import { formatAge, formatDate, formatDateTime, formatNumber, formatShortDate, formatTime } from './format.js'
+import { TRANSLATIONS } from './translations.js'
+
+const STORAGE_KEY = 'language'
+
+export const LANGUAGES = [
+  { id: 'en', label: 'English', locale: 'en-GB', dir: 'ltr' },
+  { id: 'ar', label: 'العربية', locale: 'ar', dir: 'rtl' },
+]
+
+export function findLanguage(id) {
+  return LANGUAGES.find((language) => language.id === id) || LANGUAGES[0]
+}
+
+export function loadLanguage() {
+  const stored = localStorage.getItem(STORAGE_KEY)
+  if (LANGUAGES.some((language) => language.id === stored)) return stored
+  const preferred = String(navigator.language || '').slice(0, 2).toLowerCase()
+  return findLanguage(preferred).id
+}
+
+export function saveLanguage(id) {
+  localStorage.setItem(STORAGE_KEY, id)
+}
+
+function interpolate(template, params, numbers) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match
+    const value = params[name]
+    return typeof value === 'number' ? numbers.format(value) : String(value ?? '')
+  })
+}
+
+export function createTranslator(id) {
+  const language = findLanguage(id)
+  const messages = TRANSLATIONS[language.id] || {}
+  const plurals = new Intl.PluralRules(language.locale)
+  const numbers = new Intl.NumberFormat(language.locale, { useGrouping: false })
+
+  return function t(key, params = {}) {
+    if (!key) return ''
+    let message = messages[key] ?? TRANSLATIONS.en[key] ?? key
+    if (typeof message === 'object') {
+      message = message[plurals.select(params.count ?? 0)] ?? message.other
+    }
+    return interpolate(message, params, numbers)
+  }
+}
+
+export function createI18n(id) {
+  const language = findLanguage(id)
+  const { locale } = language
+  return {
+    ...language,
+    t: createTranslator(language.id),
+    formatDate: (value) => formatDate(value, locale),
+    formatShortDate: (value) => formatShortDate(value, locale),
+    formatDateTime: (value) => formatDateTime(value, locale),
+    formatTime: (value) => formatTime(value, locale),
+    formatNumber: (value, options) => formatNumber(value, locale, options),
+    formatAge: (dateOfBirth) => formatAge(dateOfBirth, locale),
+  }
+}
@@ -0,0 +1,57 @@
+const DB_NAME = 'consultation-frontend'
+const DB_VERSION = 2
+const STORES = ['drafts', 'outbox', 'summaryReviews']
+
+let dbPromise = null
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available.'))
+        return
+      }
+      const open = indexedDB.open(DB_NAME, DB_VERSION)
+      open.onupgradeneeded = () => {
+        STORES.forEach((name) => {
+          if (!open.result.objectStoreNames.contains(name)) {
+            open.result.createObjectStore(name, { keyPath: 'key' })
+          }
+        })
+      }
+      open.onsuccess = () => resolve(open.result)
+      open.onerror = () => reject(open.error)
+    }).catch((error) => {
+      dbPromise = null
+      throw error
+    })
+  }
+  return dbPromise
+}
+
+async function run(storeName, mode, action) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode)
+    const req = action(tx.objectStore(storeName))
+    tx.oncomplete = () => resolve(req?.result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+export function idbGet(storeName, key) {
+  return run(storeName, 'readonly', (store) => store.get(key))
+}
+
+export function idbGetAll(storeName) {
+  return run(storeName, 'readonly', (store) => store.getAll())
+}
+
+export function idbPut(storeName, value) {
+  return run(storeName, 'readwrite', (store) => store.put(value))
+}
+
+export function idbDelete(storeName, key) {
+  return run(storeName, 'readwrite', (store) => store.delete(key))
+}
@@ -0,0 +1,29 @@
+export function decodeJwt(token) {
+  try {
+    const [, payload] = String(token || '').split('.')
+    if (!payload) return null
+    const base64 = payload.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(payload.length / 4) * 4, '=')
+    const json = decodeURIComponent(
+      Array.from(atob(base64), (char) => `%${char.charCodeAt(0).toString(16).padStart(2, '0')}`).join('')
+    )
+    return JSON.parse(json)
+  } catch {
+    return null
+  }
+}
+
+export function tokenExpiry(token) {
+  const exp = decodeJwt(token)?.exp
+  return typeof exp === 'number' ? exp * 1000 : null
+}
+
+export function tokenSubject(token) {
+  const payload = decodeJwt(token)
+  const subject = payload?.user_id ?? payload?.username ?? payload?.sub
+  return subject === undefined || subject === null ? '' : String(subject)
+}
+
+export function tokenUserName(token) {
+  const payload = decodeJwt(token)
+  return String(payload?.username || payload?.name || payload?.email || tokenSubject(token))
+}
@@ -0,0 +1,107 @@
+import { toDateKey } from './dashboardStats.js'
+
+export const DEFAULT_PAGE_SIZE = 15
+export const PAGE_SIZES = [10, 15, 25, 50, 100]
+
+export const CONSULTATION_ORDERINGS = [
+  { id: '', label: 'Newest first', param: '-created_at' },
+  { id: 'oldest', label: 'Oldest first', param: 'created_at' },
+  { id: 'patient', label: 'Patient name', param: 'patient__full_name' },
+]
+
+export const CREATED_PERIODS = [
+  { id: '', label: 'Custom dates' },
+  { id: 'today', label: 'Today' },
+  { id: 'week', label: 'This week' },
+  { id: 'month', label: 'This month' },
+]
+
+export function pageSizeOf(filters) {
+  const size = Number.parseInt(filters.page_size, 10)
+  return PAGE_SIZES.includes(size) ? size : DEFAULT_PAGE_SIZE
+}
+
+export function effectivePageSize(data, pageNumber, requested) {
+  const size = data.results.length
+  if (data.next) return size || requested
+  if (pageNumber > 1) return Math.round(((data.count ?? 0) - size) / (pageNumber - 1)) || requested
+  return requested
+}
+
+export function periodRange(period, today = new Date()) {
+  if (period === 'today') return { from: toDateKey(today), to: toDateKey(today) }
+  if (period === 'week') {
+    const monday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - ((today.getDay() + 6) % 7))
+    return { from: toDateKey(monday), to: toDateKey(today) }
+  }
+  if (period === 'month') {
+    return { from: toDateKey(new Date(today.getFullYear(), today.getMonth(), 1)), to: toDateKey(today) }
+  }
+  return null
+}
+
+export function createdRange(filters) {
+  return periodRange(filters.period) || { from: filters.created_at_from, to: filters.created_at_to }
+}
+
+export function consultationParams(filters, pageNumber) {
+  const { from, to } = createdRange(filters)
+  const ordering = CONSULTATION_ORDERINGS.find((option) => option.id === filters.ordering)
+  return {
+    page: pageNumber,
+    page_size: filters.page_size ? pageSizeOf(filters) : '',
+    patient_id: filters.patient_id,
+    created_at_from: from,
+    created_at_to: to,
+    search: filters.search.trim(),
+    has_summary: filters.has_summary === 'yes' ? 'true' : filters.has_summary === 'no' ? 'false' : '',
+    urgent: filters.urgent === 'yes' ? 'true' : '',
+    ordering: (ordering || CONSULTATION_ORDERINGS[0]).param,
+  }
+}
+
+export const CONSULTATION_PARAM_LABELS = {
+  search: 'Search symptoms and diagnosis',
+  has_summary: 'AI summary',
+  urgent: 'Urgency',
+}
+
+const CONSULTATION_MATCHERS = {
+  search: (item, filters) => {
+    const words = filters.search.trim().toLowerCase().split(/\s+/).filter(Boolean)
+    const text = `${item.symptoms || ''} ${item.diagnosis || ''}`.toLowerCase()
+    return words.every((word) => text.includes(word))
+  },
+  has_summary: (item, filters) => {
+    if (filters.has_summary === 'yes') return Boolean(item.ai_summary)
+    if (filters.has_summary === 'no') return !item.ai_summary
+    return true
+  },
+  urgent: (item, filters) => filters.urgent !== 'yes' || Boolean(item.ai_summary?.requires_urgent_care),
+}
+
+export function matchesConsultation(item, filters) {
+  return Object.values(CONSULTATION_MATCHERS).every((matches) => matches(item, filters))
+}
+
+export function sortConsultations(items, ordering, patientName) {
+  const byCreated = (a, b) => new Date(a.created_at || 0) - new Date(b.created_at || 0)
+  if (ordering === 'oldest') return [...items].sort(byCreated)
+  if (ordering === 'patient') {
+    return [...items].sort((a, b) => String(patientName(a.patient) ?? '').localeCompare(String(patientName(b.patient) ?? '')))
+  }
+  return [...items].sort((a, b) => byCreated(b, a))
+}
+
+export function ignoredConsultationParams(items, filters) {
+  return Object.entries(CONSULTATION_MATCHERS)
+    .filter(([, matches]) => items.some((item) => !matches(item, filters)))
+    .map(([param]) => param)
+}
+
+export function consultationListKey(filters) {
+  const params = consultationParams(filters, 1)
+  delete params.page
+  delete params.page_size
+  return JSON.stringify(params)
+}
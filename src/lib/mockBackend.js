@@ -0,0 +1,364 @@
+import { decodeJwt } from './jwt.js'
+import { seedMockData, summarize } from './mockData.js'
+import { validateConsultation, validatePatient } from './validation.js'
+
+const DATA_KEY = 'mock_backend_data'
+const SETTINGS_KEY = 'mock_backend_settings'
+const TIMEOUT_MS = 15000
+const DEFAULT_PAGE_SIZE = 15
+const MAX_PAGE_SIZE = 100
+const ACCESS_TTL = 15 * 60
+const REFRESH_TTL = 24 * 60 * 60
+
+export const MOCK_CREDENTIALS = { username: 'demo', password: 'demo' }
+
+export const MOCK_ERRORS = [
+  { id: '', label: 'No injected errors' },
+  { id: '401', label: '401 Unauthorized' },
+  { id: '400', label: '400 field errors' },
+  { id: '500', label: '500 server error' },
+  { id: 'timeout', label: 'Timeout' },
+]
+
+export const DEFAULT_MOCK_SETTINGS = {
+  latencyMs: 300,
+  summaryDelayMs: 4000,
+  summaryFailureRate: 0.2,
+  error: '',
+  errorMode: 'once',
+  errorPath: '',
+}
+
+export function loadMockSettings() {
+  try {
+    return { ...DEFAULT_MOCK_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}') }
+  } catch {
+    return { ...DEFAULT_MOCK_SETTINGS }
+  }
+}
+
+export function saveMockSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings))
+}
+
+function loadData() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(DATA_KEY) || 'null')
+    if (stored?.patients && stored?.consultations) return stored
+  } catch {
+    localStorage.removeItem(DATA_KEY)
+  }
+  const seeded = seedMockData()
+  saveData(seeded)
+  return seeded
+}
+
+function saveData(data) {
+  localStorage.setItem(DATA_KEY, JSON.stringify(data))
+}
+
+export function resetMockData() {
+  saveData(seedMockData())
+}
+
+function encodeSegment(value) {
+  return btoa(JSON.stringify(value)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function createToken(type, username, ttl) {
+  const now = Math.floor(Date.now() / 1000)
+  const payload = { token_type: type, username, iat: now, exp: now + ttl, jti: Math.random().toString(36).slice(2) }
+  return `${encodeSegment({ alg: 'none', typ: 'JWT' })}.${encodeSegment(payload)}.mock`
+}
+
+function validToken(token, type) {
+  const payload = decodeJwt(token)
+  return Boolean(payload && payload.token_type === type && payload.exp * 1000 > Date.now())
+}
+
+function json(status, data) {
+  return { status, data }
+}
+
+function notFound() {
+  return json(404, { detail: 'Not found.' })
+}
+
+function arrayErrors(errors) {
+  return Object.fromEntries(Object.entries(errors).map(([key, message]) => [key, [message]]))
+}
+
+function paginate(items, params, path) {
+  const requested = Number.parseInt(params.get('page_size') || '', 10)
+  const pageSize = Number.isFinite(requested) && requested > 0 ? Math.min(requested, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE
+  const page = Number.parseInt(params.get('page') || '1', 10) || 1
+  const pages = Math.max(1, Math.ceil(items.length / pageSize))
+  if (page < 1 || page > pages) return json(404, { detail: 'Invalid page.' })
+
+  function pageUrl(number) {
+    const next = new URLSearchParams(params)
+    next.set('page', String(number))
+    return `mock://local${path}?${next.toString()}`
+  }
+
+  return json(200, {
+    count: items.length,
+    next: page < pages ? pageUrl(page + 1) : null,
+    previous: page > 1 ? pageUrl(page - 1) : null,
+    results: items.slice((page - 1) * pageSize, page * pageSize),
+  })
+}
+
+function dateKey(value) {
+  return String(value || '').slice(0, 10)
+}
+
+function filterPatients(patients, params) {
+  const name = (params.get('full_name') || '').toLowerCase()
+  const email = (params.get('email') || '').toLowerCase()
+  const from = params.get('date_of_birth_from')
+  const to = params.get('date_of_birth_to')
+  return patients
+    .filter((patient) => !name || patient.full_name.toLowerCase().includes(name))
+    .filter((patient) => !email || patient.email.toLowerCase() === email)
+    .filter((patient) => !from || patient.date_of_birth >= from)
+    .filter((patient) => !to || patient.date_of_birth <= to)
+    .sort((a, b) => b.id - a.id)
+}
+
+function filterConsultations(data, params) {
+  const patientId = params.get('patient_id')
+  const from = params.get('created_at_from')
+  const to = params.get('created_at_to')
+  const words = (params.get('search') || '').toLowerCase().split(/\s+/).filter(Boolean)
+  const hasSummary = params.get('has_summary')
+  const urgent = params.get('urgent') === 'true'
+  const ordering = params.get('ordering') || '-created_at'
+  const names = Object.fromEntries(data.patients.map((patient) => [patient.id, patient.full_name]))
+
+  const items = data.consultations
+    .filter((item) => !patientId || String(item.patient) === patientId)
+    .filter((item) => !from || dateKey(item.created_at) >= from)
+    .filter((item) => !to || dateKey(item.created_at) <= to)
+    .filter((item) => {
+      const text = `${item.symptoms} ${item.diagnosis}`.toLowerCase()
+      return words.every((word) => text.includes(word))
+    })
+    .filter((item) => !hasSummary || Boolean(item.ai_summary) === (hasSummary === 'true'))
+    .filter((item) => !urgent || item.ai_summary?.requires_urgent_care)
+
+  if (ordering === 'patient__full_name') {
+    return items.sort((a, b) => String(names[a.patient]).localeCompare(String(names[b.patient])))
+  }
+  const direction = ordering === 'created_at' ? 1 : -1
+  return items.sort((a, b) => direction * (new Date(a.created_at) - new Date(b.created_at)))
+}
+
+function patientErrors(data, form, excludeId) {
+  const errors = validatePatient(form)
+  const email = form.email.trim().toLowerCase()
+  if (!errors.email && data.patients.some((patient) => patient.id !== excludeId && patient.email.toLowerCase() === email)) {
+    errors.email = 'patient with this email already exists.'
+  }
+  return errors
+}
+
+function handlePatients(data, method, id, body, params) {
+  if (!id) {
+    if (method === 'GET') return paginate(filterPatients(data.patients, params), params, '/patients/')
+    if (method === 'POST') {
+      const form = { full_name: '', date_of_birth: '', email: '', ...body }
+      const errors = patientErrors(data, form)
+      if (Object.keys(errors).length) return json(400, arrayErrors(errors))
+      const patient = {
+        id: data.nextIds.patients,
+        full_name: form.full_name.trim(),
+        date_of_birth: form.date_of_birth,
+        email: form.email.trim(),
+        created_at: new Date().toISOString(),
+      }
+      data.nextIds.patients += 1
+      data.patients.push(patient)
+      return json(201, patient)
+    }
+    return json(405, { detail: `Method "${method}" not allowed.` })
+  }
+
+  const patient = data.patients.find((entry) => entry.id === id)
+  if (!patient) return notFound()
+  if (method === 'GET') return json(200, patient)
+  if (method === 'PATCH' || method === 'PUT') {
+    const form = { ...patient, ...body }
+    const errors = patientErrors(data, form, id)
+    if (Object.keys(errors).length) return json(400, arrayErrors(errors))
+    Object.assign(patient, {
+      full_name: form.full_name.trim(),
+      date_of_birth: form.date_of_birth,
+      email: form.email.trim(),
+    })
+    return json(200, patient)
+  }
+  if (method === 'DELETE') {
+    data.patients = data.patients.filter((entry) => entry.id !== id)
+    data.consultations = data.consultations.filter((entry) => entry.patient !== id)
+    return json(204, null)
+  }
+  return json(405, { detail: `Method "${method}" not allowed.` })
+}
+
+function handleConsultations(data, method, id, body, params, headers) {
+  if (!id) {
+    if (method === 'GET') return paginate(filterConsultations(data, params), params, '/consultations/')
+    if (method === 'POST') {
+      const key = headers['Idempotency-Key']
+      const existing = key && data.consultations.find((entry) => entry.id === data.idempotency[key])
+      if (existing) return json(201, existing)
+      const form = { patient: '', symptoms: '', diagnosis: '', ...body }
+      const errors = validateConsultation(form)
+      if (!errors.patient && !data.patients.some((patient) => String(patient.id) === String(form.patient))) {
+        errors.patient = `Invalid pk "${form.patient}" - object does not exist.`
+      }
+      if (Object.keys(errors).length) return json(400, arrayErrors(errors))
+      const consultation = {
+        id: data.nextIds.consultations,
+        patient: Number(form.patient),
+        symptoms: form.symptoms.trim(),
+        diagnosis: String(form.diagnosis || '').trim(),
+        created_at: new Date().toISOString(),
+        ai_summary: null,
+      }
+      data.nextIds.consultations += 1
+      data.consultations.push(consultation)
+      if (key) data.idempotency[key] = consultation.id
+      return json(201, consultation)
+    }
+    return json(405, { detail: `Method "${method}" not allowed.` })
+  }
+
+  const consultation = data.consultations.find((entry) => entry.id === id)
+  if (!consultation) return notFound()
+  if (method === 'GET') return json(200, consultation)
+  if (method === 'PATCH' || method === 'PUT') {
+    const form = { symptoms: consultation.symptoms, diagnosis: consultation.diagnosis, ...body }
+    const { patient: _, ...errors } = validateConsultation(form)
+    if (Object.keys(errors).length) return json(400, arrayErrors(errors))
+    Object.assign(consultation, { symptoms: form.symptoms.trim(), diagnosis: String(form.diagnosis || '').trim() })
+    return json(200, consultation)
+  }
+  if (method === 'DELETE') {
+    data.consultations = data.consultations.filter((entry) => entry.id !== id)
+    delete data.summaryJobs[id]
+    return json(204, null)
+  }
+  return json(405, { detail: `Method "${method}" not allowed.` })
+}
+
+function startSummary(data, id, settings) {
+  const consultation = data.consultations.find((entry) => entry.id === id)
+  if (!consultation) return notFound()
+  data.summaryJobs[id] = { startedAt: Date.now(), fail: Math.random() < settings.summaryFailureRate }
+  return json(202, { status: 'processing', consultation_id: id })
+}
+
+function summaryStatus(data, id, settings) {
+  const consultation = data.consultations.find((entry) => entry.id === id)
+  if (!consultation) return notFound()
+  const job = data.summaryJobs[id]
+  if (!job) {
+    return json(200, consultation.ai_summary ? { status: 'completed' } : { status: 'failed', error: 'No summary has been requested.' })
+  }
+  if (Date.now() - job.startedAt < settings.summaryDelayMs) return json(200, { status: 'processing' })
+  delete data.summaryJobs[id]
+  if (job.fail) return json(200, { status: 'failed', error: 'The language model returned an invalid summary.' })
+  consultation.ai_summary = summarize(consultation)
+  return json(200, { status: 'completed' })
+}
+
+function route(data, method, path, body, headers, settings) {
+  const url = new URL(path, 'http://mock.local')
+  const params = url.searchParams
+  const segments = url.pathname.split('/').filter(Boolean)
+  const [section, second, third] = segments
+
+  if (section === 'accounts' && second === 'login' && method === 'POST') {
+    if (body?.username === MOCK_CREDENTIALS.username && body?.password === MOCK_CREDENTIALS.password) {
+      return json(200, {
+        access: createToken('access', body.username, ACCESS_TTL),
+        refresh: createToken('refresh', body.username, REFRESH_TTL),
+      })
+    }
+    return json(401, { detail: 'No active account found with the given credentials' })
+  }
+
+  if (section === 'accounts' && second === 'token' && third === 'refresh' && method === 'POST') {
+    if (!validToken(body?.refresh, 'refresh')) {
+      return json(401, { detail: 'Token is invalid or expired', code: 'token_not_valid' })
+    }
+    return json(200, { access: createToken('access', decodeJwt(body.refresh).username, ACCESS_TTL) })
+  }
+
+  const token = String(headers.Authorization || '').replace(/^Bearer /, '')
+  if (!validToken(token, 'access')) {
+    return json(401, { detail: 'Given token not valid for any token type', code: 'token_not_valid' })
+  }
+
+  if (section === 'patients') {
+    return handlePatients(data, method, second ? Number(second) : null, body, params)
+  }
+  if (section === 'consultations' && second === 'generate-summary' && method === 'POST') {
+    return startSummary(data, Number(third), settings)
+  }
+  if (section === 'consultations' && third === 'summary_status' && method === 'GET') {
+    return summaryStatus(data, Number(second), settings)
+  }
+  if (section === 'consultations') {
+    return handleConsultations(data, method, second ? Number(second) : null, body, params, headers)
+  }
+  return notFound()
+}
+
+function injectedError(settings, method, path, body) {
+  if (!settings.error || (settings.errorPath && !path.includes(settings.errorPath))) return null
+  if (settings.errorMode === 'once') saveMockSettings({ ...settings, error: '' })
+  if (settings.error === 'timeout') return { timeout: true }
+  if (settings.error === '401') return json(401, { detail: 'Given token not valid for any token type', code: 'token_not_valid' })
+  if (settings.error === '500') return json(500, { detail: 'Injected server error.' })
+  const [field] = Object.keys(body || {})
+  return json(400, field ? { [field]: ['Injected validation error.'] } : { non_field_errors: [`Injected ${method} error.`] })
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('The operation was aborted.', 'AbortError'))
+      return
+    }
+    const timer = setTimeout(resolve, ms)
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer)
+      reject(new DOMException('The operation was aborted.', 'AbortError'))
+    }, { once: true })
+  })
+}
+
+export async function mockFetch(path, { method = 'GET', headers = {}, body, signal } = {}) {
+  const settings = loadMockSettings()
+  const payload = body ? JSON.parse(body) : undefined
+  await wait(settings.latencyMs * (0.5 + Math.random()), signal)
+
+  let result = injectedError(settings, method, path, payload)
+  if (result?.timeout) {
+    await wait(TIMEOUT_MS, signal)
+    throw new TypeError('Mock backend request timed out.')
+  }
+  if (!result) {
+    const data = loadData()
+    result = route(data, method, path, payload, headers, settings)
+    if (method !== 'GET' || path.includes('summary_status')) saveData(data)
+  }
+
+  return new Response(result.status === 204 ? null : JSON.stringify(result.data), {
+    status: result.status,
+    headers: { 'Content-Type': 'application/json' },
+  })
+}
@@ -0,0 +1,99 @@
+const FIRST_NAMES = [
+  'Amira', 'Ben', 'Carla', 'David', 'Elena', 'Farid', 'Grace', 'Hassan', 'Ines', 'Jonas',
+  'Karim', 'Lena', 'Marco', 'Nadia', 'Omar', 'Priya', 'Quentin', 'Rosa', 'Samir', 'Tara',
+]
+const LAST_NAMES = [
+  'Haddad', 'Novak', 'Santos', 'Okafor', 'Lindqvist', 'Mansour', 'Kowalski', 'Yilmaz', 'Moreau', 'Fischer',
+]
+const VISITS = [
+  { symptoms: 'Dry cough, mild fever and sore throat for three days', diagnosis: 'Upper respiratory tract infection' },
+  { symptoms: 'Sharp chest pain radiating to the left arm, sweating', diagnosis: 'Suspected acute coronary syndrome' },
+  { symptoms: 'Headache, sensitivity to light and nausea', diagnosis: 'Migraine without aura' },
+  { symptoms: 'Lower back pain after lifting, no numbness', diagnosis: 'Lumbar muscle strain' },
+  { symptoms: 'Shortness of breath and wheezing at night', diagnosis: 'Asthma exacerbation' },
+  { symptoms: 'Itchy red rash on both forearms', diagnosis: 'Contact dermatitis' },
+  { symptoms: 'Burning when urinating, frequent urination', diagnosis: 'Uncomplicated urinary tract infection' },
+  { symptoms: 'Sudden weakness on the right side and slurred speech', diagnosis: 'Suspected stroke' },
+  { symptoms: 'Fatigue, increased thirst and weight loss', diagnosis: 'Suspected type 2 diabetes' },
+  { symptoms: 'Ear pain and reduced hearing on the left side', diagnosis: 'Otitis media' },
+  { symptoms: 'Abdominal pain in the lower right quadrant, vomiting', diagnosis: 'Suspected appendicitis' },
+  { symptoms: 'Runny nose, sneezing and itchy eyes in spring', diagnosis: 'Seasonal allergic rhinitis' },
+]
+const URGENT_WORDS = ['chest pain', 'shortness of breath', 'stroke', 'slurred speech', 'appendicitis', 'bleeding', 'unconscious']
+
+function createRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+function pick(random, list) {
+  return list[Math.floor(random() * list.length)]
+}
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10)
+}
+
+export function summarize(consultation) {
+  const text = `${consultation.symptoms} ${consultation.diagnosis}`.toLowerCase()
+  const urgent = URGENT_WORDS.some((word) => text.includes(word))
+  return {
+    brief_summary: `${consultation.diagnosis}. Presenting with ${consultation.symptoms.charAt(0).toLowerCase()}${consultation.symptoms.slice(1)}.`,
+    key_symptoms: consultation.symptoms
+      .split(/,| and /)
+      .map((part) => part.trim())
+      .filter(Boolean)
+      .slice(0, 4),
+    requires_urgent_care: urgent,
+    suggested_treatment_plan: urgent
+      ? 'Refer to the emergency department immediately and monitor vital signs.'
+      : 'Symptomatic treatment, rest and follow-up in one week if symptoms persist.',
+  }
+}
+
+export function seedMockData(now = new Date(), seed = 20240501) {
+  const random = createRandom(seed)
+  const patients = Array.from({ length: 24 }, (_, index) => {
+    const first = FIRST_NAMES[index % FIRST_NAMES.length]
+    const last = pick(random, LAST_NAMES)
+    const age = 2 + Math.floor(random() * 85)
+    const birth = new Date(now.getFullYear() - age, Math.floor(random() * 12), 1 + Math.floor(random() * 28))
+    return {
+      id: index + 1,
+      full_name: `${first} ${last}`,
+      date_of_birth: isoDate(birth),
+      email: `${first}.${last}${index + 1}@example.com`.toLowerCase(),
+      created_at: new Date(now.getTime() - Math.floor(random() * 120) * 86400000).toISOString(),
+    }
+  })
+
+  const consultations = Array.from({ length: 72 }, (_, index) => {
+    const visit = pick(random, VISITS)
+    const consultation = {
+      id: index + 1,
+      patient: pick(random, patients).id,
+      symptoms: visit.symptoms,
+      diagnosis: visit.diagnosis,
+      created_at: new Date(
+        now.getTime() - Math.floor(random() * 60) * 86400000 - Math.floor(random() * 36000) * 1000
+      ).toISOString(),
+      ai_summary: null,
+    }
+    if (random() < 0.6) consultation.ai_summary = summarize(consultation)
+    return consultation
+  })
+
+  return {
+    patients,
+    consultations,
+    nextIds: { patients: patients.length + 1, consultations: consultations.length + 1 },
+    summaryJobs: {},
+    idempotency: {},
+  }
+}
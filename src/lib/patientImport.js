@@ -0,0 +1,91 @@
+import { parseCsv } from './csv.js'
+import { findDuplicates } from './patientMatching.js'
+import { validatePatient } from './validation.js'
+
+export const IMPORT_FIELDS = [
+  { id: 'full_name', label: 'Full name', aliases: ['full_name', 'fullname', 'name', 'patient', 'patient_name'] },
+  { id: 'date_of_birth', label: 'Date of birth', aliases: ['date_of_birth', 'dob', 'birth_date', 'birthdate', 'birthday'] },
+  { id: 'email', label: 'Email', aliases: ['email', 'e-mail', 'email_address', 'mail'] },
+]
+
+function normalizeHeader(value) {
+  return String(value).trim().toLowerCase().replace(/[\s-]+/g, '_')
+}
+
+export function parseImportFile(name, text) {
+  if (name.toLowerCase().endsWith('.json')) {
+    const parsed = JSON.parse(text)
+    const list = Array.isArray(parsed) ? parsed : parsed?.results
+    if (!Array.isArray(list)) throw new Error('JSON must be an array of patient objects.')
+    const headers = [...new Set(list.flatMap((item) => Object.keys(item || {})))]
+    const records = list.map((item) => headers.map((key) => (item?.[key] == null ? '' : String(item[key]))))
+    return { headers, records }
+  }
+
+  const [headers = [], ...records] = parseCsv(text)
+  return { headers: headers.map((header) => header.trim()), records }
+}
+
+export function guessMapping(headers) {
+  const normalized = headers.map(normalizeHeader)
+  return Object.fromEntries(
+    IMPORT_FIELDS.map((field) => {
+      const index = normalized.findIndex((header) => field.aliases.includes(header))
+      return [field.id, index >= 0 ? String(index) : '']
+    })
+  )
+}
+
+function describeMatch({ patient, reasons }, text, params) {
+  return { text, params: { ...params, name: patient.full_name }, reasons }
+}
+
+export function buildImportRows(records, mapping, existingPatients = null) {
+  const rows = records.map((cells, index) => {
+    const patient = Object.fromEntries(
+      IMPORT_FIELDS.map((field) => {
+        const column = mapping[field.id]
+        return [field.id, column === '' ? '' : String(cells[Number(column)] ?? '').trim()]
+      })
+    )
+    return { line: index + 2, patient, errors: validatePatient(patient), warnings: [] }
+  })
+
+  const seenEmails = new Map()
+  const seenPeople = new Map()
+  rows.forEach((row) => {
+    const email = row.patient.email.toLowerCase()
+    const person = `${row.patient.full_name.toLowerCase()}|${row.patient.date_of_birth}`
+    if (email && seenEmails.has(email) && !row.errors.email) {
+      row.errors.email = { text: 'Duplicate of line {line}.', params: { line: seenEmails.get(email) } }
+    }
+    if (row.patient.full_name && seenPeople.has(person) && !row.errors.full_name) {
+      row.errors.full_name = {
+        text: 'Same name and date of birth as line {line}.',
+        params: { line: seenPeople.get(person) },
+      }
+    }
+    if (email && !seenEmails.has(email)) seenEmails.set(email, row.line)
+    if (!seenPeople.has(person)) seenPeople.set(person, row.line)
+  })
+
+  rows.forEach((row, index) => {
+    if (Object.keys(row.errors).length > 0) return
+    const earlier = rows.slice(0, index).map((other) => ({ ...other.patient, id: other.line }))
+    const [similar] = findDuplicates(row.patient, earlier)
+    if (similar) {
+      row.warnings.push(
+        describeMatch(similar, 'Similar to line {line}: {name} ({reasons}).', { line: similar.patient.id })
+      )
+    }
+    if (existingPatients) {
+      findDuplicates(row.patient, existingPatients).forEach((match) => {
+        row.warnings.push(
+          describeMatch(match, 'Possible duplicate of patient #{id} {name} ({reasons}).', { id: match.patient.id })
+        )
+      })
+    }
+  })
+
+  return rows
+}
@@ -0,0 +1,78 @@
+const NAME_THRESHOLD = 0.8
+
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index)
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      )
+    }
+    previous = current
+  }
+  return previous[b.length]
+}
+
+function similarity(a, b) {
+  const longest = Math.max(a.length, b.length)
+  return longest === 0 ? 0 : 1 - levenshtein(a, b) / longest
+}
+
+export function nameSimilarity(a, b) {
+  const left = normalizeName(a)
+  const right = normalizeName(b)
+  if (left.length === 0 || right.length === 0) return 0
+  return Math.max(
+    similarity(left.join(' '), right.join(' ')),
+    similarity([...left].sort().join(' '), [...right].sort().join(' '))
+  )
+}
+
+export function nameSearchTerms(fullName) {
+  return [...new Set(normalizeName(fullName).filter((token) => token.length >= 3))]
+    .sort((a, b) => b.length - a.length)
+    .slice(0, 2)
+}
+
+export function matchPatient(candidate, patient) {
+  const reasons = []
+  const email = String(candidate.email || '').trim().toLowerCase()
+  const sameEmail = Boolean(email) && email === String(patient.email || '').trim().toLowerCase()
+  if (sameEmail) reasons.push('Same email')
+
+  const sameBirthDate = Boolean(candidate.date_of_birth) && candidate.date_of_birth === patient.date_of_birth
+  const score = sameBirthDate ? nameSimilarity(candidate.full_name, patient.full_name) : 0
+  if (score >= NAME_THRESHOLD) {
+    reasons.push(score === 1 ? 'Same name' : 'Similar name')
+    reasons.push('Same date of birth')
+  }
+
+  return reasons.length ? { patient, reasons, score: score + (sameEmail ? 1 : 0) } : null
+}
+
+export function findDuplicates(candidate, patients) {
+  const seen = new Set()
+  return patients
+    .filter((patient) => {
+      const key = String(patient.id)
+      if (seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+    .map((patient) => matchPatient(candidate, patient))
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score)
+}
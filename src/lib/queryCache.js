@@ -0,0 +1,63 @@
+const DEDUPE_MS = 2000
+
+export function createQueryCache() {
+  const entries = new Map()
+
+  function get(key) {
+    return entries.get(key)
+  }
+
+  function fetch(key, fetcher) {
+    const entry = entries.get(key) || {}
+    if (entry.promise && !entry.invalidated) return entry.promise
+
+    const controller = new AbortController()
+    const promise = fetcher(controller.signal)
+      .then((result) => {
+        const current = entries.get(key)
+        if (result.ok && current?.promise === promise && !current.invalidated) {
+          entries.set(key, { result, fetchedAt: Date.now() })
+        }
+        return result
+      })
+      .finally(() => {
+        const current = entries.get(key)
+        if (current?.promise === promise) {
+          if (current.result && !current.invalidated) {
+            entries.set(key, { result: current.result, fetchedAt: current.fetchedAt })
+          } else {
+            entries.delete(key)
+          }
+        }
+      })
+
+    entries.set(key, { result: entry.result, fetchedAt: entry.fetchedAt, promise, controller })
+    return promise
+  }
+
+  function isFresh(key) {
+    const entry = entries.get(key)
+    return Boolean(entry?.fetchedAt && Date.now() - entry.fetchedAt < DEDUPE_MS)
+  }
+
+  function abort(key) {
+    entries.get(key)?.controller?.abort()
+  }
+
+  function invalidate(prefix) {
+    Array.from(entries.keys()).forEach((key) => {
+      if (key.startsWith(prefix)) {
+        const entry = entries.get(key)
+        if (entry.promise) entries.set(key, { promise: entry.promise, controller: entry.controller, invalidated: true })
+        else entries.delete(key)
+      }
+    })
+  }
+
+  function clear() {
+    entries.forEach((entry) => entry.controller?.abort())
+    entries.clear()
+  }
+
+  return { get, fetch, isFresh, abort, invalidate, clear }
+}
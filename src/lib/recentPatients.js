@@ -0,0 +1,33 @@
+const STORAGE_KEY = 'recent_patients'
+const MAX_RECENT = 6
+
+function storageKey(scope) {
+  return `${STORAGE_KEY}__${scope}`
+}
+
+export function loadRecentPatients(scope) {
+  if (!scope) return []
+  try {
+    const stored = JSON.parse(localStorage.getItem(storageKey(scope)) || '[]')
+    return Array.isArray(stored) ? stored : []
+  } catch {
+    return []
+  }
+}
+
+export function rememberRecentPatient(patient, scope) {
+  const entry = {
+    id: patient.id,
+    full_name: patient.full_name,
+    date_of_birth: patient.date_of_birth,
+    email: patient.email,
+  }
+  const next = [entry, ...loadRecentPatients(scope).filter((item) => String(item.id) !== String(patient.id))]
+    .slice(0, MAX_RECENT)
+  if (scope) localStorage.setItem(storageKey(scope), JSON.stringify(next))
+  return next
+}
+
+export function clearRecentPatients(scope) {
+  if (scope) localStorage.removeItem(storageKey(scope))
+}
@@ -0,0 +1,126 @@
+export const EMPTY_PATIENT_FILTERS = {
+  full_name: '',
+  email: '',
+  date_of_birth_from: '',
+  date_of_birth_to: '',
+  page_size: '',
+}
+
+export const EMPTY_CONSULTATION_FILTERS = {
+  patient_id: '',
+  created_at_from: '',
+  created_at_to: '',
+  period: '',
+  search: '',
+  has_summary: '',
+  urgent: '',
+  ordering: '',
+  page_size: '',
+}
+
+export const EMPTY_DASHBOARD_RANGE = {
+  from: '',
+  to: '',
+  interval: '',
+}
+
+const PUBLIC_PAGES = ['login', 'settings']
+
+function pickFilters(params, defaults) {
+  return Object.fromEntries(
+    Object.keys(defaults).map((key) => [key, params.get(key) || defaults[key]])
+  )
+}
+
+function pageNumber(params) {
+  const value = Number.parseInt(params.get('page') || '1', 10)
+  return Number.isFinite(value) && value > 0 ? value : 1
+}
+
+function withQuery(path, values) {
+  const params = new URLSearchParams()
+  Object.entries(values).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      params.set(key, value)
+    }
+  })
+  const query = params.toString()
+  return query ? `${path}?${query}` : path
+}
+
+export function requiresAuth(route) {
+  return !PUBLIC_PAGES.includes(route.page)
+}
+
+export function parseLocation({ pathname, search }) {
+  const params = new URLSearchParams(search)
+  const segments = pathname.split('/').filter(Boolean)
+  const [section, id] = segments
+
+  if (section === 'login') {
+    return { page: 'login', next: params.get('next') || '' }
+  }
+
+  if (['triage', 'inspector', 'settings'].includes(section)) {
+    return { page: section }
+  }
+
+  if (section === 'dashboard') {
+    return { page: 'dashboard', dashboardRange: pickFilters(params, EMPTY_DASHBOARD_RANGE) }
+  }
+
+  if (section === 'consultations') {
+    if (id) return { page: 'consultation', consultationId: id }
+    return {
+      page: 'consultations',
+      consultationFilters: pickFilters(params, EMPTY_CONSULTATION_FILTERS),
+      consultationPage: pageNumber(params),
+    }
+  }
+
+  if (section === 'patients' && id) {
+    return { page: 'patient', patientId: id }
+  }
+
+  return {
+    page: 'patients',
+    patientFilters: pickFilters(params, EMPTY_PATIENT_FILTERS),
+    patientPage: pageNumber(params),
+  }
+}
+
+export function parseUrl(url) {
+  const parsed = new URL(url, window.location.origin)
+  return parseLocation(parsed)
+}
+
+export function buildUrl(route) {
+  switch (route.page) {
+    case 'login':
+      return withQuery('/login', { next: route.next })
+    case 'triage':
+    case 'inspector':
+    case 'settings':
+      return `/${route.page}`
+    case 'dashboard':
+      return withQuery('/dashboard', route.dashboardRange)
+    case 'patient':
+      return `/patients/${encodeURIComponent(route.patientId)}`
+    case 'consultation':
+      return `/consultations/${encodeURIComponent(route.consultationId)}`
+    case 'consultations':
+      return withQuery('/consultations', {
+        ...route.consultationFilters,
+        page: route.consultationPage > 1 ? route.consultationPage : '',
+      })
+    default:
+      return withQuery('/patients', {
+        ...route.patientFilters,
+        page: route.patientPage > 1 ? route.patientPage : '',
+      })
+  }
+}
+
+export function currentUrl() {
+  return `${window.location.pathname}${window.location.search}`
+}
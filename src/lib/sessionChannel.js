@@ -0,0 +1,32 @@
+const CHANNEL_NAME = 'consultation-session'
+const STORAGE_KEY = 'session_event'
+
+export function createSessionChannel(onMessage) {
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(CHANNEL_NAME)
+    channel.onmessage = (event) => onMessage(event.data)
+    return {
+      post: (message) => channel.postMessage(message),
+      close: () => channel.close(),
+    }
+  }
+
+  function handleStorage(event) {
+    if (event.key !== STORAGE_KEY || !event.newValue) return
+    let message
+    try {
+      message = JSON.parse(event.newValue)
+    } catch {
+      return
+    }
+    onMessage(message)
+  }
+
+  window.addEventListener('storage', handleStorage)
+  return {
+    post: (message) => {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...message, sentAt: Date.now() }))
+    },
+    close: () => window.removeEventListener('storage', handleStorage),
+  }
+}
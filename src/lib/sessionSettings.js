@@ -0,0 +1,11 @@
+const IDLE_KEY = 'idle_timeout_minutes'
+const DEFAULT_IDLE_MINUTES = 15
+
+export function loadIdleTimeoutMinutes() {
+  const stored = Number.parseInt(localStorage.getItem(IDLE_KEY) ?? '', 10)
+  return Number.isFinite(stored) && stored >= 0 ? stored : DEFAULT_IDLE_MINUTES
+}
+
+export function saveIdleTimeoutMinutes(minutes) {
+  localStorage.setItem(IDLE_KEY, String(minutes))
+}
@@ -0,0 +1,73 @@
+const STORAGE_KEY = 'keyboard_shortcuts'
+
+export const SHORTCUT_ACTIONS = [
+  { id: 'previousPage', label: 'Previous page', defaultKey: 'p' },
+  { id: 'nextPage', label: 'Next page', defaultKey: 'n' },
+  { id: 'refresh', label: 'Refresh', defaultKey: 'r' },
+  { id: 'help', label: 'Show keyboard shortcuts', defaultKey: '?' },
+]
+
+export function defaultShortcuts() {
+  return Object.fromEntries(SHORTCUT_ACTIONS.map((action) => [action.id, action.defaultKey]))
+}
+
+export function normalizeKey(key) {
+  return String(key || '').toLowerCase()
+}
+
+export function isValidShortcutKey(key) {
+  return /^\S$/u.test(key)
+}
+
+export function loadShortcuts() {
+  let stored = {}
+  try {
+    stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') || {}
+  } catch {
+    stored = {}
+  }
+  const shortcuts = defaultShortcuts()
+  SHORTCUT_ACTIONS.forEach((action) => {
+    const key = normalizeKey(stored[action.id])
+    if (isValidShortcutKey(key)) shortcuts[action.id] = key
+  })
+  return shortcuts
+}
+
+export function saveShortcuts(shortcuts) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(shortcuts))
+}
+
+export function validateShortcuts(shortcuts) {
+  const errors = {}
+  const seen = {}
+  SHORTCUT_ACTIONS.forEach((action) => {
+    const key = normalizeKey(shortcuts[action.id])
+    if (!isValidShortcutKey(key)) {
+      errors[action.id] = 'Use a single key other than Space.'
+    } else if (seen[key]) {
+      errors[action.id] = 'This key is already used by another shortcut.'
+    } else {
+      seen[key] = action.id
+    }
+  })
+  return errors
+}
+
+export function actionForKey(shortcuts, key) {
+  const pressed = normalizeKey(key)
+  return SHORTCUT_ACTIONS.find((action) => shortcuts[action.id] === pressed)?.id || null
+}
+
+export function isTypingTarget(target) {
+  if (!(target instanceof HTMLElement)) return false
+  return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)
+}
+
+export function isApplePlatform() {
+  return /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent || '')
+}
+
+export function paletteShortcutLabel() {
+  return isApplePlatform() ? '⌘K' : 'Ctrl+K'
+}
@@ -0,0 +1,142 @@
+export const SUMMARY_FIELDS = [
+  { key: 'brief_summary', label: 'Brief' },
+  { key: 'key_symptoms', label: 'Symptoms' },
+  { key: 'requires_urgent_care', label: 'Urgent' },
+  { key: 'suggested_treatment_plan', label: 'Plan' },
+]
+
+export const REVIEW_STATUS_LABELS = {
+  unreviewed: 'Unreviewed AI output',
+  edited: 'Edited, awaiting approval',
+  approved: 'Clinician approved',
+  rejected: 'Rejected',
+}
+
+export function normalizeSummary(summary) {
+  return {
+    brief_summary: String(summary?.brief_summary ?? ''),
+    key_symptoms: Array.isArray(summary?.key_symptoms) ? summary.key_symptoms.map(String) : [],
+    requires_urgent_care: Boolean(summary?.requires_urgent_care),
+    suggested_treatment_plan: String(summary?.suggested_treatment_plan ?? ''),
+  }
+}
+
+export function formatSummaryField(key, value) {
+  if (key === 'key_symptoms') return (value || []).join(', ')
+  if (key === 'requires_urgent_care') return value ? 'Yes' : 'No'
+  return value || ''
+}
+
+function sameSummary(a, b) {
+  return SUMMARY_FIELDS.every(
+    ({ key }) => formatSummaryField(key, a[key]) === formatSummaryField(key, b[key])
+  )
+}
+
+function appendVersion(record, source, summary, author = '') {
+  const versions = record.versions
+  return {
+    ...record,
+    versions: [
+      ...versions,
+      {
+        id: versions.length ? versions[versions.length - 1].id + 1 : 1,
+        source,
+        author,
+        summary: normalizeSummary(summary),
+        createdAt: Date.now(),
+        review: null,
+      },
+    ],
+  }
+}
+
+export function emptyReviewRecord(scope, consultationId) {
+  return { key: `${scope}:${consultationId}`, scope, consultationId: String(consultationId), versions: [] }
+}
+
+export function recordAiSummary(record, aiSummary) {
+  const lastAi = [...record.versions].reverse().find((version) => version.source === 'ai')
+  if (lastAi && sameSummary(lastAi.summary, normalizeSummary(aiSummary))) return record
+  return appendVersion(record, 'ai', aiSummary)
+}
+
+export function recordClinicianEdit(record, summary, author) {
+  return appendVersion(record, 'clinician', summary, author)
+}
+
+export function recordReview(record, status, note, reviewer) {
+  const versions = record.versions
+  if (versions.length === 0) return record
+  const current = versions[versions.length - 1]
+  return {
+    ...record,
+    versions: [...versions.slice(0, -1), { ...current, review: { status, note, by: reviewer, at: Date.now() } }],
+  }
+}
+
+export function currentVersion(record) {
+  return record?.versions.length ? record.versions[record.versions.length - 1] : null
+}
+
+export function reviewStatus(version) {
+  if (!version) return null
+  if (version.review) return version.review.status
+  return version.source === 'ai' ? 'unreviewed' : 'edited'
+}
+
+export function localReview(version) {
+  if (!version || (version.source === 'ai' && !version.review)) return null
+  return {
+    by: version.review?.by || version.author || '',
+    at: version.review?.at || version.createdAt,
+  }
+}
+
+export function withReview(item, record) {
+  const current = currentVersion(record)
+  if (!current) return { ...item, summary_status: item.ai_summary ? 'unreviewed' : null, summary_local: null }
+  return {
+    ...item,
+    ai_summary: current.summary,
+    summary_status: reviewStatus(current),
+    summary_local: localReview(current),
+  }
+}
+
+function tokenize(text) {
+  return String(text).split(/(\s+)/).filter(Boolean)
+}
+
+export function diffWords(before, after) {
+  const a = tokenize(before)
+  const b = tokenize(after)
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0))
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+    }
+  }
+
+  const left = []
+  const right = []
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      left.push({ text: a[i], changed: false })
+      right.push({ text: b[j], changed: false })
+      i += 1
+      j += 1
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      left.push({ text: a[i], changed: true })
+      i += 1
+    } else {
+      right.push({ text: b[j], changed: true })
+      j += 1
+    }
+  }
+  a.slice(i).forEach((text) => left.push({ text, changed: true }))
+  b.slice(j).forEach((text) => right.push({ text, changed: true }))
+  return { left, right }
+}
@@ -0,0 +1,50 @@
+const STORAGE_KEY = 'symptom_vocabulary'
+const MAX_TERMS = 200
+
+function storageKey(scope) {
+  return scope ? `${STORAGE_KEY}__${scope}` : STORAGE_KEY
+}
+
+export function normalizeSymptom(value) {
+  return String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase()
+}
+
+export function loadSymptomVocabulary(scope) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(storageKey(scope)) || '{}')
+    return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {}
+  } catch {
+    return {}
+  }
+}
+
+export function rememberSymptoms(terms, scope) {
+  const counts = { ...loadSymptomVocabulary(scope) }
+  terms.map(normalizeSymptom).filter(Boolean).forEach((term) => {
+    counts[term] = (Number(counts[term]) || 0) + 1
+  })
+  const next = Object.fromEntries(
+    Object.entries(counts).sort(([, a], [, b]) => b - a).slice(0, MAX_TERMS)
+  )
+  localStorage.setItem(storageKey(scope), JSON.stringify(next))
+  return next
+}
+
+export function symptomSuggestions(consultations, vocabulary = {}) {
+  const counts = new Map()
+  const add = (term, weight) => {
+    const key = normalizeSymptom(term)
+    if (key) counts.set(key, (counts.get(key) || 0) + weight)
+  }
+  Object.entries(vocabulary).forEach(([term, count]) => add(term, Number(count) || 0))
+  const seen = new Set()
+  consultations.forEach((item) => {
+    if (!item || seen.has(item.id)) return
+    seen.add(item.id)
+    const terms = item.ai_summary?.key_symptoms || []
+    terms.forEach((term) => add(term, 1))
+  })
+  return [...counts.entries()]
+    .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+    .map(([term]) => term)
+}
@@ -0,0 +1,534 @@
+const en = {
+  '{count} consultations': { one: '{count} consultation', other: '{count} consultations' },
+  '{count} rows may be duplicates.': { one: '{count} row may be a duplicate.', other: '{count} rows may be duplicates.' },
+  '{count} rows look like duplicates within the file. Check against existing patients before importing.': {
+    one: '{count} row looks like a duplicate within the file. Check against existing patients before importing.',
+    other: '{count} rows look like duplicates within the file. Check against existing patients before importing.',
+  },
+  '{count} versions': { one: '{count} version', other: '{count} versions' },
+  '{name} has {count} consultations attached. Deleting the patient removes them as well.': {
+    one: '{name} has {count} consultation attached. Deleting the patient removes it as well.',
+    other: '{name} has {count} consultations attached. Deleting the patient removes them as well.',
+  },
+  '{period}: {count} consultations. Click to open.': {
+    one: '{period}: {count} consultation. Click to open.',
+    other: '{period}: {count} consultations. Click to open.',
+  },
+  '{period}: {count} new patients': { one: '{period}: {count} new patient', other: '{period}: {count} new patients' },
+  '{period}: {count} patients. Click to open.': {
+    one: '{period}: {count} patient. Click to open.',
+    other: '{period}: {count} patients. Click to open.',
+  },
+  'Checked against {count} existing patients.': {
+    one: 'Checked against {count} existing patient.',
+    other: 'Checked against {count} existing patients.',
+  },
+  'Exported {count} consultations.': { one: 'Exported {count} consultation.', other: 'Exported {count} consultations.' },
+  'Idle timeout set to {count} minutes.': { one: 'Idle timeout set to {count} minute.', other: 'Idle timeout set to {count} minutes.' },
+  'Imported {count} patients.': { one: 'Imported {count} patient.', other: 'Imported {count} patients.' },
+  'Logged out after {count} minutes of inactivity.': {
+    one: 'Logged out after {count} minute of inactivity.',
+    other: 'Logged out after {count} minutes of inactivity.',
+  },
+  'Queueing {count} summaries...': { one: 'Queueing {count} summary...', other: 'Queueing {count} summaries...' },
+  'This patient may already be registered ({count} possible matches).': {
+    one: 'This patient may already be registered ({count} possible match).',
+    other: 'This patient may already be registered ({count} possible matches).',
+  },
+}
+
+const ar = {
+  ', ': '، ',
+  '1 year': 'سنة',
+  '7 days': '7 أيام',
+  '30 days': '30 يومًا',
+  '90 days': '90 يومًا',
+  '{count} consultations': {
+    zero: 'لا توجد استشارات',
+    one: 'استشارة واحدة',
+    two: 'استشارتان',
+    few: '{count} استشارات',
+    many: '{count} استشارة',
+    other: '{count} استشارة',
+  },
+  '{count} flagged for urgent care': 'المحالة للرعاية العاجلة: {count}',
+  '{count} per page': '{count} في الصفحة',
+  '{count} rows look like duplicates within the file. Check against existing patients before importing.':
+    'عدد الصفوف التي تبدو مكررة داخل الملف: {count}. قارنها بالمرضى الحاليين قبل الاستيراد.',
+  '{count} rows may be duplicates.': 'عدد الصفوف التي قد تكون مكررة: {count}.',
+  '{count} running': 'قيد التشغيل: {count}',
+  '{count} versions': {
+    zero: 'لا توجد نسخ',
+    one: 'نسخة واحدة',
+    two: 'نسختان',
+    few: '{count} نسخ',
+    many: '{count} نسخة',
+    other: '{count} نسخة',
+  },
+  '{count} waiting to sync': 'بانتظار المزامنة: {count}',
+  '{file}: {created} created, {failed} not imported.': '{file}: أُنشئ {created}، ولم يُستورد {failed}.',
+  '{from} to {to}': 'من {from} إلى {to}',
+  '{name} has no consultations attached.': 'لا توجد استشارات مرتبطة بـ{name}.',
+  '{name} has {count} consultations attached. Deleting the patient removes them as well.':
+    'عدد الاستشارات المرتبطة بـ{name}: {count}. حذف المريض يحذفها أيضًا.',
+  '{period}: {count} consultations. Click to open.': '{period}: عدد الاستشارات {count}. انقر للفتح.',
+  '{period}: {count} new patients': '{period}: عدد المرضى الجدد {count}',
+  '{period}: {count} patients. Click to open.': '{period}: عدد المرضى {count}. انقر للفتح.',
+  '{range} years': '{range} سنة',
+  'AI is generating the summary. This may take a few seconds.': 'يُنشئ الذكاء الاصطناعي الملخص. قد يستغرق ذلك بضع ثوانٍ.',
+  'AI output': 'مخرجات الذكاء الاصطناعي',
+  'AI summary': 'ملخص الذكاء الاصطناعي',
+  'AI summary coverage': 'تغطية ملخصات الذكاء الاصطناعي',
+  'API Inspector': 'مراقب الواجهة البرمجية',
+  Active: 'نشطة',
+  'Add Environment': 'إضافة بيئة',
+  'Add a presenting complaint, symptoms or history.': 'أضف الشكوى الرئيسية أو الأعراض أو التاريخ المرضي.',
+  Age: 'العمر',
+  'All patients': 'جميع المرضى',
+  'All statuses': 'كل الحالات',
+  'Any urgency': 'أي درجة استعجال',
+  Apply: 'تطبيق',
+  'Apply Filters': 'تطبيق عوامل التصفية',
+  'Apply preset "{name}"': 'تطبيق الإعداد "{name}"',
+  'Apply template': 'تطبيق القالب',
+  'Apply to': 'التطبيق على',
+  'Applying the {name} template replaces the complaint, history, examination, assessment and plan you have entered.':
+    'يؤدي تطبيق قالب {name} إلى استبدال الشكوى والتاريخ المرضي والفحص والتقييم والخطة التي أدخلتها.',
+  Approve: 'اعتماد',
+  'Approve summary': 'اعتماد الملخص',
+  'Assessment and diagnosis': 'التقييم والتشخيص',
+  'Awaiting summary ({count})': 'بانتظار الملخص ({count})',
+  Back: 'رجوع',
+  'Backend Environments': 'بيئات الخادم',
+  'Backend accepts the Idempotency-Key header': 'الخادم يقبل ترويسة Idempotency-Key',
+  'Backend unreachable.': 'تعذر الوصول إلى الخادم.',
+  'Backend unreachable. The consultation is in the outbox and will be sent when the connection returns.':
+    'تعذّر الوصول إلى الخادم. الاستشارة في صندوق الصادر وستُرسل عند عودة الاتصال.',
+  'Base URL': 'عنوان URL الأساسي',
+  'Base URL is required.': 'عنوان URL الأساسي مطلوب.',
+  'Born on or after': 'تاريخ الميلاد في أو بعد',
+  'Born on or before': 'تاريخ الميلاد في أو قبل',
+  Brief: 'موجز',
+  'Brief summary is required.': 'الملخص الموجز مطلوب.',
+  'Brief:': 'موجز:',
+  'Bulk Import': 'استيراد جماعي',
+  'By {name} on {time}. Saved in this browser only; other devices show the AI output.':
+    'بواسطة {name} في {time}. محفوظ في هذا المتصفح فقط؛ تعرض الأجهزة الأخرى مخرجات الذكاء الاصطناعي.',
+  Cancel: 'إلغاء',
+  'Check Connection': 'فحص الاتصال',
+  'Check again': 'تحقق مجددًا',
+  'Check against existing patients': 'قارن بالمرضى الحاليين',
+  'Checked against {count} existing patients.': 'تمت المقارنة بعدد {count} من المرضى الحاليين.',
+  'Checking for duplicates...': 'جارٍ البحث عن سجلات مكررة...',
+  'Checking...': 'جارٍ التحقق...',
+  Clear: 'مسح',
+  'Clear Log': 'مسح السجل',
+  'Clear finished': 'مسح المكتملة',
+  'Clear synced': 'مسح المُزامَنة',
+  'Clinician approved': 'اعتمده الطبيب',
+  'Clinician edit': 'تعديل الطبيب',
+  Close: 'إغلاق',
+  'Close a dialog or panel': 'إغلاق نافذة أو لوحة',
+  'Close history': 'إغلاق السجل',
+  'Column {number}': 'العمود {number}',
+  'Command palette': 'لوحة الأوامر',
+  Commands: 'الأوامر',
+  'Compare from version': 'المقارنة من النسخة',
+  'Compare to version': 'المقارنة مع النسخة',
+  Confirm: 'تأكيد',
+  Consultation: 'استشارة',
+  'Consultation Frontend': 'واجهة الاستشارات',
+  'Consultation Report #{id}': 'تقرير الاستشارة رقم {id}',
+  'Consultation created.': 'أُنشئت الاستشارة.',
+  'Consultation not found.': 'الاستشارة غير موجودة.',
+  'Consultation pages': 'صفحات الاستشارات',
+  'Consultation updated.': 'حُدّثت الاستشارة.',
+  'Consultation {id}': 'الاستشارة {id}',
+  'Consultation {id} and its AI summary will be removed.': 'ستُحذف الاستشارة {id} وملخصها المُنشأ بالذكاء الاصطناعي.',
+  'Consultation {id} deleted.': 'حُذفت الاستشارة {id}.',
+  Consultations: 'الاستشارات',
+  'Consultations per day': 'الاستشارات يوميًا',
+  'Consultations per week': 'الاستشارات أسبوعيًا',
+  Copied: 'نُسخ',
+  'Copy as curl': 'نسخ كأمر curl',
+  'Copy link': 'نسخ الرابط',
+  'Could not check for existing records of this patient.': 'تعذّر التحقق من وجود سجلات سابقة لهذا المريض.',
+  'Could not copy automatically. Command: {command}': 'تعذر النسخ تلقائيًا. الأمر: {command}',
+  'Could not copy automatically. Link: {url}': 'تعذّر النسخ تلقائيًا. الرابط: {url}',
+  'Could not load existing patients to check for duplicates.': 'تعذّر تحميل المرضى الحاليين للتحقق من التكرار.',
+  'Could not load some patients ({count}); their names are left blank.':
+    'تعذّر تحميل بعض المرضى ({count})؛ تُركت أسماؤهم فارغة.',
+  'Could not load the consultation history.': 'تعذّر تحميل سجل الاستشارات.',
+  'Could not reach the backend ({message}).': 'تعذر الوصول إلى الخادم ({message}).',
+  'Create Consultation': 'إنشاء استشارة',
+  'Create Patient': 'إنشاء مريض',
+  Created: 'تاريخ الإنشاء',
+  'Created consultation {id}': 'أُنشئت الاستشارة {id}',
+  'Created on or after': 'أُنشئت في أو بعد',
+  'Created on or before': 'أُنشئت في أو قبل',
+  'Created: {date}': 'تاريخ الإنشاء: {date}',
+  'Creating...': 'جارٍ الإنشاء...',
+  'Current session expires at {time}.': 'تنتهي الجلسة الحالية في {time}.',
+  'Custom dates': 'تواريخ مخصصة',
+  'DOB: {date}': 'تاريخ الميلاد: {date}',
+  Dashboard: 'لوحة المعلومات',
+  'Date of birth': 'تاريخ الميلاد',
+  'Date of birth cannot be in the future.': 'لا يمكن أن يكون تاريخ الميلاد في المستقبل.',
+  'Date of birth is required.': 'تاريخ الميلاد مطلوب.',
+  Day: 'يوم',
+  Default: 'الافتراضي',
+  Delete: 'حذف',
+  'Delete consultation': 'حذف الاستشارة',
+  'Delete patient': 'حذف المريض',
+  'Deleted preset "{name}".': 'حُذف الإعداد المحفوظ "{name}".',
+  Details: 'التفاصيل',
+  Diagnosis: 'التشخيص',
+  'Diastolic BP': 'الضغط الانبساطي',
+  'Diastolic pressure must be lower than systolic.': 'يجب أن يكون الضغط الانبساطي أقل من الانقباضي.',
+  Discard: 'تجاهل',
+  Dismiss: 'إخفاء',
+  'Dismiss notification': 'إخفاء الإشعار',
+  Done: 'مكتمل',
+  'Download failures CSV': 'تنزيل الإخفاقات بصيغة CSV',
+  'Download report CSV': 'تنزيل التقرير بصيغة CSV',
+  'Duplicate of line {line}.': 'مكرر للسطر {line}.',
+  ERR: 'خطأ',
+  Edit: 'تعديل',
+  'Edit Environment': 'تعديل البيئة',
+  'Edit by {name}': 'تعديل بواسطة {name}',
+  'Edit summary': 'تعديل الملخص',
+  'Edit {name}': 'تعديل {name}',
+  'Edited, awaiting approval': 'معدّل، بانتظار الاعتماد',
+  Email: 'البريد الإلكتروني',
+  'Email equals': 'البريد الإلكتروني يساوي',
+  'Email is required.': 'البريد الإلكتروني مطلوب.',
+  'Endpoint contains': 'المسار يحتوي على',
+  'Enter a diastolic pressure between 30 and 160 mmHg.': 'أدخل ضغطًا انبساطيًا بين 30 و160 ملم زئبق.',
+  'Enter a heart rate between 20 and 250 bpm.': 'أدخل معدل نبض بين 20 و250 نبضة في الدقيقة.',
+  'Enter a systolic pressure between 50 and 260 mmHg.': 'أدخل ضغطًا انقباضيًا بين 50 و260 ملم زئبق.',
+  'Enter a temperature between 30 and 45 °C.': 'أدخل درجة حرارة بين 30 و45 °م.',
+  'Enter a valid email address.': 'أدخل بريدًا إلكترونيًا صالحًا.',
+  'Enter an SpO2 between 50 and 100%.': 'أدخل تشبع أكسجين بين 50 و100%.',
+  'Enter an http(s) URL, e.g. https://staging.example.com': 'أدخل عنوان http(s)، مثل https://staging.example.com',
+  'Enter both systolic and diastolic pressure.': 'أدخل الضغط الانقباضي والانبساطي معًا.',
+  Error: 'خطأ',
+  'Every consultation has a summary.': 'لكل استشارة ملخص.',
+  'Every matching request': 'كل طلب مطابق',
+  Examination: 'الفحص',
+  'Explain why the summary is rejected.': 'اذكر سبب رفض الملخص.',
+  'Export CSV': 'تصدير CSV',
+  'Export JSON': 'تصدير JSON',
+  'Exported {count} consultations.': 'صُدّرت الاستشارات: {count}.',
+  'Exporting consultations...': 'جارٍ تصدير الاستشارات...',
+  'Extend session': 'تمديد الجلسة',
+  'Extend the session to keep working, or log out now.': 'مدّد الجلسة لمتابعة العمل، أو سجّل الخروج الآن.',
+  'Extending...': 'جارٍ التمديد...',
+  Failed: 'فشل',
+  'Follow-up': 'متابعة',
+  From: 'من',
+  'Full name': 'الاسم الكامل',
+  'Full name contains': 'الاسم الكامل يحتوي على',
+  'Full name is required.': 'الاسم الكامل مطلوب.',
+  General: 'عام',
+  'Generate Summary': 'إنشاء ملخص',
+  'Generate summary for consultation {id}': 'إنشاء ملخص للاستشارة {id}',
+  'Generated {time}': 'أُنشئ في {time}',
+  'Generating Summary': 'جارٍ إنشاء الملخص',
+  'Generating summary...': 'جارٍ إنشاء الملخص...',
+  'Generating...': 'جارٍ الإنشاء...',
+  'Go to {page}': 'الانتقال إلى {page}',
+  'Group by': 'التجميع حسب',
+  'Has AI summary': 'له ملخص بالذكاء الاصطناعي',
+  'Heart rate': 'معدل النبض',
+  'Hide history': 'إخفاء السجل',
+  History: 'السجل',
+  'History ({count})': 'السجل ({count})',
+  'ID: {id}': 'المعرّف: {id}',
+  'Idle timeout set to {count} minutes.': 'ضُبطت مهلة الخمول على {count} دقيقة.',
+  'Idle timeout turned off.': 'أُوقفت مهلة الخمول.',
+  'Import progress': 'تقدم الاستيراد',
+  'Import {selected} of {count} rows': 'استيراد {selected} من {count} صف',
+  'Imported {count} patients.': 'استُورد المرضى: {count}.',
+  Info: 'معلومة',
+  'Inject error': 'حقن خطأ',
+  Injury: 'إصابة',
+  'Jump to the first or last card': 'الانتقال إلى البطاقة الأولى أو الأخيرة',
+  'Key symptoms': 'الأعراض الرئيسية',
+  'Key symptoms (comma separated)': 'الأعراض الرئيسية (مفصولة بفواصل)',
+  'Keyboard shortcuts': 'اختصارات لوحة المفاتيح',
+  'Keyboard shortcuts saved.': 'حُفظت اختصارات لوحة المفاتيح.',
+  Language: 'اللغة',
+  Line: 'السطر',
+  'Link to "{name}" copied.': 'نُسخ رابط "{name}".',
+  'Load Consultations': 'تحميل الاستشارات',
+  'Load Patients': 'تحميل المرضى',
+  'Load more': 'تحميل المزيد',
+  'Loading consultation history...': 'جارٍ تحميل سجل الاستشارات...',
+  'Loading consultation...': 'جارٍ تحميل الاستشارة...',
+  'Loading dashboard...': 'جارٍ تحميل لوحة المعلومات...',
+  'Loading patient...': 'جارٍ تحميل المريض...',
+  'Loading...': 'جارٍ التحميل...',
+  'Log in as {username} / {password}.': 'سجّل الدخول باسم {username} / {password}.',
+  'Log in to sync the outbox.': 'سجّل الدخول لمزامنة صندوق الصادر.',
+  'Log out': 'تسجيل الخروج',
+  'Log out after this many idle minutes (0 turns it off)': 'تسجيل الخروج بعد هذا العدد من دقائق الخمول (0 يوقفه)',
+  'Logged in from another tab.': 'سُجّل الدخول من علامة تبويب أخرى.',
+  'Logged in.': 'تم تسجيل الدخول.',
+  'Logged out after {count} minutes of inactivity.': 'سُجّل الخروج بعد {count} دقيقة من عدم النشاط.',
+  'Logged out in another tab.': 'سُجّل الخروج في علامة تبويب أخرى.',
+  'Logged out.': 'تم تسجيل الخروج.',
+  Login: 'تسجيل الدخول',
+  Logout: 'تسجيل الخروج',
+  Main: 'الرئيسية',
+  'Manage patients and consultations.': 'إدارة المرضى والاستشارات.',
+  'Medical history': 'التاريخ المرضي',
+  'Mock Backend': 'الخادم التجريبي',
+  'Mock backend': 'الخادم التجريبي',
+  'Mock backend data reset to the sample set.': 'أُعيدت بيانات الخادم التجريبي إلى البيانات النموذجية.',
+  'Mock backend settings saved.': 'حُفظت إعدادات الخادم التجريبي.',
+  'Move between patient and consultation cards': 'التنقل بين بطاقات المرضى والاستشارات',
+  Name: 'الاسم',
+  'Name is required.': 'الاسم مطلوب.',
+  'Network error': 'خطأ في الشبكة',
+  'New consultation': 'استشارة جديدة',
+  'New consultation for this patient': 'استشارة جديدة لهذا المريض',
+  'New consultation for {name}': 'استشارة جديدة لـ{name}',
+  'New patient': 'مريض جديد',
+  'New patients': 'مرضى جدد',
+  'New patients per day': 'المرضى الجدد يوميًا',
+  'New patients per week': 'المرضى الجدد أسبوعيًا',
+  'Newest first': 'الأحدث أولًا',
+  Next: 'التالي',
+  'Next page': 'الصفحة التالية',
+  No: 'لا',
+  'No AI summary yet': 'لا يوجد ملخص بعد',
+  'No consultations flagged for urgent care.': 'لا توجد استشارات محالة للرعاية العاجلة.',
+  'No consultations loaded yet.': 'لم تُحمّل أي استشارات بعد.',
+  'No consultations recorded for this patient.': 'لا توجد استشارات مسجلة لهذا المريض.',
+  'No consultations recorded.': 'لا توجد استشارات مسجلة.',
+  'No headers.': 'لا توجد ترويسات.',
+  'No injected errors': 'بلا أخطاء محقونة',
+  'No matching commands.': 'لا توجد أوامر مطابقة.',
+  'No patients found.': 'لم يُعثر على مرضى.',
+  'No patients loaded yet.': 'لم يُحمّل أي مرضى بعد.',
+  'No requests recorded yet.': 'لم تُسجَّل أي طلبات بعد.',
+  'No saved presets': 'لا توجد إعدادات محفوظة',
+  'No summary has been requested.': 'لم يُطلب أي ملخص.',
+  'No template': 'بدون قالب',
+  'Not checked': 'لم يُفحص',
+  'Not loaded yet': 'لم يُحمّل بعد',
+  'Not logged in to this backend.': 'لم تسجّل الدخول إلى هذا الخادم.',
+  'Not mapped': 'غير مربوط',
+  'Note (optional)': 'ملاحظة (اختيارية)',
+  'Nothing has happened yet in this session.': 'لم يحدث شيء بعد في هذه الجلسة.',
+  'Notification history': 'سجل الإشعارات',
+  Notifications: 'الإشعارات',
+  'Notifications ({count})': 'الإشعارات ({count})',
+  OK: 'سليم',
+  Offline: 'غير متصل',
+  'Oldest first': 'الأقدم أولًا',
+  Online: 'متصل',
+  'Only part of the consultation history could be loaded. Reload to fetch the rest.':
+    'تعذّر تحميل سجل الاستشارات كاملًا. أعد التحميل لجلب الباقي.',
+  'Only paths containing (optional)': 'فقط المسارات التي تحتوي على (اختياري)',
+  Open: 'فتح',
+  'Open consultation {id}': 'فتح الاستشارة {id}',
+  'Open patient {name}': 'فتح ملف المريض {name}',
+  'Open the command palette': 'فتح لوحة الأوامر',
+  'Open the focused card': 'فتح البطاقة المحددة',
+  'Open urgent cases': 'الحالات العاجلة المفتوحة',
+  Outbox: 'صندوق الصادر',
+  'Page size': 'حجم الصفحة',
+  'Page {page} of {pages} · Total {count}': 'الصفحة {page} من {pages} · الإجمالي {count}',
+  Password: 'كلمة المرور',
+  Patient: 'المريض',
+  'Patient "{name}" deleted.': 'حُذف المريض "{name}".',
+  'Patient #{id}': 'المريض رقم {id}',
+  'Patient Consultation History': 'سجل استشارات المريض',
+  'Patient ID': 'معرّف المريض',
+  'Patient age distribution': 'توزيع أعمار المرضى',
+  'Patient ages': 'أعمار المرضى',
+  'Patient created.': 'أُنشئ المريض.',
+  'Patient details unavailable.': 'بيانات المريض غير متاحة.',
+  'Patient file': 'ملف المرضى',
+  'Patient name': 'اسم المريض',
+  'Patient pages': 'صفحات المرضى',
+  'Patient updated.': 'حُدّث المريض.',
+  'Patient:': 'المريض:',
+  Patients: 'المرضى',
+  'Patients seen': 'المرضى الذين تمت معاينتهم',
+  Pending: 'قيد الانتظار',
+  Plan: 'الخطة',
+  'Plan:': 'الخطة:',
+  'Please correct the highlighted fields.': 'يرجى تصحيح الحقول المميزة.',
+  'Possible duplicate of patient #{id} {name} ({reasons}).': 'تكرار محتمل للمريض رقم {id} {name} ({reasons}).',
+  'Presenting complaint': 'الشكوى الرئيسية',
+  'Preset name': 'اسم الإعداد',
+  'Preview of the saved text': 'معاينة النص المحفوظ',
+  Previous: 'السابق',
+  'Previous page': 'الصفحة السابقة',
+  Print: 'طباعة',
+  'Print history': 'طباعة السجل',
+  Problems: 'المشكلات',
+  Processing: 'قيد المعالجة',
+  'Queued {queued} of {count} summaries.': 'أُضيف {queued} من {count} ملخص إلى قائمة الانتظار.',
+  'Queueing {count} summaries...': 'جارٍ إضافة الملخصات إلى قائمة الانتظار: {count}...',
+  Reachable: 'متاح',
+  'Reason for rejecting': 'سبب الرفض',
+  'Recently selected': 'المختارون مؤخرًا',
+  Refresh: 'تحديث',
+  'Refresh token saved.': 'حُفظ رمز التحديث.',
+  Regenerate: 'إعادة الإنشاء',
+  'Regenerate Summary': 'إعادة إنشاء الملخص',
+  'Regenerate summary': 'إعادة إنشاء الملخص',
+  Reject: 'رفض',
+  'Reject summary': 'رفض الملخص',
+  Rejected: 'مرفوض',
+  Reload: 'إعادة التحميل',
+  Remove: 'إزالة',
+  'Remove {symptom}': 'إزالة {symptom}',
+  Replay: 'إعادة الإرسال',
+  'Request body': 'محتوى الطلب',
+  'Request failed ({status})': 'فشل الطلب ({status})',
+  'Request headers': 'ترويسات الطلب',
+  'Requests are answered in the browser from seeded sample data stored in localStorage.':
+    'يُجاب على الطلبات داخل المتصفح من بيانات نموذجية محفوظة في localStorage.',
+  'Requires urgent care': 'يتطلب رعاية عاجلة',
+  'Reset Sample Data': 'إعادة ضبط البيانات النموذجية',
+  Respiratory: 'تنفسي',
+  'Response body': 'محتوى الاستجابة',
+  'Response headers': 'ترويسات الاستجابة',
+  'Response latency (ms)': 'زمن الاستجابة (مللي ثانية)',
+  'Restore defaults': 'استعادة الإعدادات الافتراضية',
+  'Restored your unsent consultation draft.': 'استُعيدت مسودة الاستشارة غير المرسلة.',
+  Result: 'النتيجة',
+  Retry: 'إعادة المحاولة',
+  'Review note: {note}': 'ملاحظة المراجعة: {note}',
+  'Same date of birth': 'تاريخ الميلاد نفسه',
+  'Same email': 'البريد الإلكتروني نفسه',
+  'Same name': 'الاسم نفسه',
+  'Same name and date of birth as line {line}.': 'الاسم وتاريخ الميلاد نفسهما كما في السطر {line}.',
+  Save: 'حفظ',
+  'Save Environment': 'حفظ البيئة',
+  'Save current filters': 'حفظ عوامل التصفية الحالية',
+  'Save summary': 'حفظ الملخص',
+  'Saved preset "{name}".': 'حُفظ الإعداد "{name}".',
+  'Saved presets': 'الإعدادات المحفوظة',
+  'Saved presets...': 'الإعدادات المحفوظة...',
+  'Search patients by name': 'ابحث عن المرضى بالاسم',
+  'Search symptoms and diagnosis': 'ابحث في الأعراض والتشخيص',
+  'Searching...': 'جارٍ البحث...',
+  'Select a patient.': 'اختر مريضًا.',
+  'Selected symptoms': 'الأعراض المحددة',
+  Session: 'الجلسة',
+  'Session ends in {time}': 'تنتهي الجلسة خلال {time}',
+  'Session expired. Please log in again.': 'انتهت الجلسة. يرجى تسجيل الدخول مجددًا.',
+  'Session extended.': 'مُدّدت الجلسة.',
+  Settings: 'الإعدادات',
+  'Shortcuts work anywhere outside text fields. Press {key} to open the command palette.':
+    'تعمل الاختصارات في أي مكان خارج حقول النص. اضغط {key} لفتح لوحة الأوامر.',
+  'Show keyboard shortcuts': 'عرض اختصارات لوحة المفاتيح',
+  'Similar name': 'اسم مشابه',
+  'Similar to line {line}: {name} ({reasons}).': 'مشابه للسطر {line}: {name} ({reasons}).',
+  'Simple Frontend': 'واجهة مبسطة',
+  'Single-key shortcuts are ignored while typing in a field. Change them on the Settings page.':
+    'تُتجاهل الاختصارات ذات المفتاح الواحد أثناء الكتابة في حقل. يمكنك تغييرها من صفحة الإعدادات.',
+  'Skip rows flagged as possible duplicates': 'تخطي الصفوف المشار إليها كمكررات محتملة',
+  'Skip to main content': 'انتقل إلى المحتوى الرئيسي',
+  'Sort by': 'الترتيب حسب',
+  SpO2: 'تشبع الأكسجين',
+  Success: 'تم بنجاح',
+  'Suggested symptoms': 'الأعراض المقترحة',
+  'Suggested treatment plan': 'خطة العلاج المقترحة',
+  'Summarise all pending ({count})': 'تلخيص كل المعلّقة ({count})',
+  Summary: 'الملخص',
+  'Summary failure rate (%)': 'نسبة فشل الملخص (%)',
+  'Summary generation failed.': 'فشل إنشاء الملخص.',
+  'Summary generation time (ms)': 'زمن إنشاء الملخص (مللي ثانية)',
+  'Summary jobs': 'مهام التلخيص',
+  'Summary of consultation {id} approved.': 'اعتُمد ملخص الاستشارة {id}.',
+  'Summary of consultation {id} edited. It needs approval.': 'عُدّل ملخص الاستشارة {id}. يحتاج إلى اعتماد.',
+  'Summary of consultation {id} rejected.': 'رُفض ملخص الاستشارة {id}.',
+  'Summary ready.': 'الملخص جاهز.',
+  'Switched to {name}.': 'تم التبديل إلى {name}.',
+  Symptoms: 'الأعراض',
+  'Symptoms are required.': 'الأعراض مطلوبة.',
+  'Symptoms:': 'الأعراض:',
+  'Sync now': 'مزامنة الآن',
+  Synced: 'تمت المزامنة',
+  'Systolic BP': 'الضغط الانقباضي',
+  Temperature: 'الحرارة',
+  Template: 'القالب',
+  'The approved summary of consultation {id} is kept in its version history. The new AI output will need to be reviewed again.':
+    'يُحتفظ بالملخص المعتمد للاستشارة {id} في سجل نسخه. وستحتاج المخرجات الجديدة للذكاء الاصطناعي إلى مراجعة من جديد.',
+  'The backend does not allow extending this session. Save your work and log in again.':
+    'لا يسمح الخادم بتمديد هذه الجلسة. احفظ عملك وسجّل الدخول مجددًا.',
+  'The backend ignored {params}, so every page was loaded and filtered in this browser.':
+    'تجاهل الخادم {params}، لذلك حُمّلت كل الصفحات وصُفّيت في هذا المتصفح.',
+  'The file has no data rows.': 'لا يحتوي الملف على صفوف بيانات.',
+  'The next matching request': 'الطلب المطابق التالي',
+  'This backend is already configured.': 'هذا الخادم مُعدّ بالفعل.',
+  'This is a new patient': 'هذا مريض جديد',
+  'This key is already used by another shortcut.': 'هذا المفتاح مستخدم بالفعل في اختصار آخر.',
+  'This month': 'هذا الشهر',
+  'This patient may already be registered ({count} possible matches).': 'قد يكون هذا المريض مسجلًا بالفعل (التطابقات المحتملة: {count}).',
+  'This week': 'هذا الأسبوع',
+  'Timed out': 'انتهت المهلة',
+  'Timed out waiting for the summary.': 'انتهت مهلة انتظار الملخص.',
+  Timeout: 'انتهاء المهلة',
+  To: 'إلى',
+  Today: 'اليوم',
+  Triage: 'الفرز',
+  'Type a command, a patient name or a consultation ID': 'اكتب أمرًا أو اسم مريض أو رقم استشارة',
+  'Type a symptom and press Enter': 'اكتب عرضًا واضغط Enter',
+  Undo: 'تراجع',
+  Unreachable: 'غير متاح',
+  'Unreviewed AI output': 'مخرجات ذكاء اصطناعي غير مراجعة',
+  'Updated {time}': 'آخر تحديث {time}',
+  'Upload a CSV with a header row, or a JSON array. Dates must be YYYY-MM-DD.':
+    'ارفع ملف CSV يحتوي على صف عناوين، أو مصفوفة JSON. يجب أن تكون التواريخ بصيغة YYYY-MM-DD.',
+  Urgency: 'درجة الاستعجال',
+  'Urgency uses summaries edited or reviewed in this browser where they exist. Other devices use the AI output.':
+    'يعتمد الإلحاح على الملخصات المعدلة أو المراجعة في هذا المتصفح عند وجودها. تستخدم الأجهزة الأخرى مخرجات الذكاء الاصطناعي.',
+  Urgent: 'عاجل',
+  'Urgent care': 'رعاية عاجلة',
+  'Urgent care ({count})': 'رعاية عاجلة ({count})',
+  'Urgent only': 'العاجلة فقط',
+  'Urgent-care ratio': 'نسبة الرعاية العاجلة',
+  'Urgent:': 'عاجل:',
+  Use: 'استخدام',
+  'Use a real date in YYYY-MM-DD format.': 'استخدم تاريخًا صحيحًا بصيغة YYYY-MM-DD.',
+  'Use a single key other than Space.': 'استخدم مفتاحًا واحدًا غير مفتاح المسافة.',
+  Username: 'اسم المستخدم',
+  'Vitals (optional)': 'العلامات الحيوية (اختياري)',
+  Warning: 'تحذير',
+  Week: 'أسبوع',
+  'With AI summary': 'مع ملخص بالذكاء الاصطناعي',
+  'With or without AI summary': 'مع ملخص أو بدونه',
+  'Wk {date}': 'أسبوع {date}',
+  Yes: 'نعم',
+  'You are logged in.': 'أنت مسجّل الدخول.',
+  'You can close this dialog; progress stays in the jobs panel.': 'يمكنك إغلاق هذه النافذة؛ يبقى التقدم ظاهرًا في لوحة المهام.',
+  'Your session is about to end': 'جلستك على وشك الانتهاء',
+  '401 Unauthorized': '401 غير مصرّح',
+  '400 field errors': '400 أخطاء في الحقول',
+  '500 server error': '500 خطأ في الخادم',
+  'build default': 'افتراضي البناء',
+  'by {name}': 'بواسطة {name}',
+  created: 'أُنشئ',
+  'e.g. Staging': 'مثال: Staging',
+  'e.g. {url}': 'مثال: {url}',
+  failed: 'فشل',
+  'in-browser': 'داخل المتصفح',
+  'no email': 'لا يوجد بريد إلكتروني',
+  pending: 'معلّقة',
+  routine: 'روتينية',
+  skipped: 'تم التخطي',
+  summarised: 'ملخّصة',
+  'unknown user': 'مستخدم غير معروف',
+  urgent: 'عاجلة',
+  'v{id}': 'النسخة {id}',
+  '{ms} ms': '{ms} مللي ثانية',
+}
+
+export const TRANSLATIONS = { en, ar }
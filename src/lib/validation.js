@@ -0,0 +1,80 @@
+import { hasSymptoms, validateVitals } from './consultationEntry.js'
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const NON_FIELD_KEYS = ['detail', 'error', 'non_field_errors']
+
+function toMessage(value) {
+  if (Array.isArray(value)) return value.map(toMessage).filter(Boolean).join(' ')
+  if (value && typeof value === 'object') return Object.values(value).map(toMessage).join(' ')
+  return value ? String(value) : ''
+}
+
+export function todayISO() {
+  const now = new Date()
+  const month = String(now.getMonth() + 1).padStart(2, '0')
+  const day = String(now.getDate()).padStart(2, '0')
+  return `${now.getFullYear()}-${month}-${day}`
+}
+
+export function isValidEmail(value) {
+  return EMAIL_PATTERN.test(String(value || '').trim())
+}
+
+export function isValidDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value || ''))) return false
+  const [year, month, day] = value.split('-').map(Number)
+  const date = new Date(year, month - 1, day)
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day
+}
+
+export function fieldErrorsFrom(data) {
+  if (Array.isArray(data)) return { non_field_errors: toMessage(data) }
+  if (!data || typeof data !== 'object') return {}
+  const errors = {}
+  Object.entries(data).forEach(([key, value]) => {
+    const message = toMessage(value)
+    if (!message) return
+    if (NON_FIELD_KEYS.includes(key)) {
+      errors.non_field_errors = [errors.non_field_errors, message].filter(Boolean).join(' ')
+    } else {
+      errors[key] = message
+    }
+  })
+  return errors
+}
+
+export function hasErrors(errors) {
+  return Object.keys(errors).length > 0
+}
+
+export function validatePatient(form) {
+  const errors = {}
+  if (!form.full_name.trim()) errors.full_name = 'Full name is required.'
+  if (!form.date_of_birth) {
+    errors.date_of_birth = 'Date of birth is required.'
+  } else if (!isValidDate(form.date_of_birth)) {
+    errors.date_of_birth = 'Use a real date in YYYY-MM-DD format.'
+  } else if (form.date_of_birth > todayISO()) {
+    errors.date_of_birth = 'Date of birth cannot be in the future.'
+  }
+  if (!form.email.trim()) {
+    errors.email = 'Email is required.'
+  } else if (!isValidEmail(form.email)) {
+    errors.email = 'Enter a valid email address.'
+  }
+  return errors
+}
+
+export function validateConsultation(form) {
+  const errors = {}
+  if ('patient' in form && !form.patient) errors.patient = 'Select a patient.'
+  if (!form.symptoms.trim()) errors.symptoms = 'Symptoms are required.'
+  return errors
+}
+
+export function validateConsultationEntry(entry) {
+  const errors = validateVitals(entry)
+  if (!entry.patient) errors.patient = 'Select a patient.'
+  if (!hasSymptoms(entry)) errors.symptoms = 'Add a presenting complaint, symptoms or history.'
+  return errors
+}